@@ -5,30 +5,53 @@
  * auto-advance, and orchestrates all modules.
  */
 
-import { githubAPI, GitHubAPIError } from './github-api.js';
+import { githubAPI } from './github-api.js';
+import { ProviderAPIError } from './provider-api.js';
+import { PROVIDERS, getProvider } from './providers.js';
 import { DataProcessor } from './data-processor.js';
 import { ChartsRenderer } from './charts-renderer.js';
 import { AuroraSlides } from './aurora-slides.js';
+import { SlideRegistry } from './slide-registry.js';
 import { PosterExport } from './poster-export.js';
+import { VideoExport, VideoExportError } from './video-export.js';
+import { StoryArchive, StoryArchiveError } from './story-archive.js';
+import { GitLogSource, GitLogError } from './git-log-source.js';
+import { listTimeZones, formatTimeZone } from './time-zone.js';
+import { StoryRouter } from './story-router.js';
+import { StorySnapshot, StorySnapshotError } from './story-snapshot.js';
 
 class GitStoryApp {
   constructor() {
     // State
     this.currentSlide = 0;
     this.totalSlides = 0;
+    this.deck = []; // Slide definitions in play order
     this.isPlaying = false; // Auto-advance disabled by default
     this.autoAdvanceTimer = null;
     this.autoAdvanceDelay = 12000; // 12 seconds if enabled
+    this.countdownInterval = null; // Rate limit countdown ticker
+    this.storyRoute = null; // { username, year } when the story can be linked to
+    this.pendingSlide = null; // Slide id a link asked for, opened once loaded
+    
+    // Data source (GitHub unless the form picks another provider)
+    this.api = githubAPI;
     
     // Data
     this.userData = null;
+    this.previousUserData = null;
     this.processedData = null;
     
     // Modules
     this.dataProcessor = new DataProcessor();
     this.chartsRenderer = new ChartsRenderer();
     this.auroraSlides = new AuroraSlides();
+    this.slideRegistry = new SlideRegistry();
     this.posterExport = new PosterExport();
+    this.videoExport = new VideoExport();
+    this.storyArchive = new StoryArchive();
+    this.gitLogSource = new GitLogSource();
+    this.router = new StoryRouter();
+    this.storySnapshot = new StorySnapshot();
     
     // DOM Elements
     this.elements = {};
@@ -45,10 +68,23 @@ class GitStoryApp {
    */
   init() {
     this.cacheElements();
+    this.populateYearOptions();
+    this.populateTimeZoneOptions();
+    this.personasReady = this.loadCustomPersonas();
     this.setupEventListeners();
+    this.auroraSlides.init();
+    this.registerSlides();
     this.countSlides();
     this.updateSlideCounter();
     
+    // A shared snapshot plays its embedded story; otherwise open a story
+    // link, and follow back/forward from then on
+    if (!this.playSnapshot()) {
+      this.router.start(route => this.handleRoute(route));
+      const route = this.router.parse();
+      if (route) this.handleRoute(route);
+    }
+    
     // Focus on username input
     setTimeout(() => {
       this.elements.usernameInput?.focus();
@@ -69,8 +105,25 @@ class GitStoryApp {
       // Form
       form: document.getElementById('github-form'),
       usernameInput: document.getElementById('github-username'),
+      providerSelect: document.getElementById('provider'),
+      providerBaseUrl: document.getElementById('provider-base-url'),
+      yearSelect: document.getElementById('story-year'),
+      compareToggle: document.getElementById('compare-years'),
+      deepScanToggle: document.getElementById('deep-scan'),
+      timeZoneSelect: document.getElementById('time-zone'),
       tokenInput: document.getElementById('github-token'),
+      privateMode: document.getElementById('private-mode'),
+      tokenScopes: document.getElementById('token-scopes'),
       playBtn: document.getElementById('play-story-btn'),
+      btnRefreshCache: document.getElementById('btn-refresh-cache'),
+      btnClearCache: document.getElementById('btn-clear-cache'),
+      cacheStatus: document.getElementById('cache-status'),
+      importDrop: document.getElementById('import-drop'),
+      importFile: document.getElementById('import-file'),
+      gitLogText: document.getElementById('git-log-text'),
+      gitLogFiles: document.getElementById('git-log-files'),
+      gitLogAuthor: document.getElementById('git-log-author'),
+      btnGitLog: document.getElementById('btn-git-log'),
       errorMessage: document.getElementById('error-message'),
       errorText: document.getElementById('error-text'),
       
@@ -92,6 +145,7 @@ class GitStoryApp {
       // Loading
       loadingOverlay: document.getElementById('loading-overlay'),
       loadingStatus: document.getElementById('loading-status'),
+      loadingCountdown: document.getElementById('loading-countdown'),
       
       // Title Card Elements
       userAvatar: document.getElementById('user-avatar'),
@@ -116,9 +170,68 @@ class GitStoryApp {
       heatmapContainer: document.getElementById('heatmap-container'),
       heatmapMonths: document.getElementById('heatmap-months'),
       heatmapGrid: document.getElementById('heatmap-grid'),
+      heatmapCompare: document.getElementById('heatmap-compare'),
+      heatmapMonthsPrevious: document.getElementById('heatmap-months-previous'),
+      heatmapGridPrevious: document.getElementById('heatmap-grid-previous'),
+      
+      // Sharing
+      shareOptions: document.getElementById('share-options'),
+      shareStripPrivate: document.getElementById('share-strip-private'),
+      shareStatus: document.getElementById('share-status'),
+      btnExportVideo: document.getElementById('btn-export-video'),
+      videoFormat: document.getElementById('video-format'),
+      videoStatus: document.getElementById('video-status'),
     };
   }
 
+  /**
+   * Fill the year picker from the current year back to GitHub's launch
+   */
+  populateYearOptions() {
+    const select = this.elements.yearSelect;
+    if (!select) return;
+    
+    const currentYear = new Date().getFullYear();
+    for (let year = currentYear; year >= 2008; year--) {
+      const option = document.createElement('option');
+      option.value = year;
+      option.textContent = year;
+      select.appendChild(option);
+    }
+    select.value = currentYear;
+  }
+
+  /**
+   * Register team personas named by the gitstory-personas meta tag
+   * @returns {Promise<void>}
+   */
+  async loadCustomPersonas() {
+    const url = document.querySelector('meta[name="gitstory-personas"]')?.content.trim();
+    if (!url) return;
+    
+    try {
+      await this.dataProcessor.personaEngine.load(url);
+    } catch (error) {
+      // Built-in personas still work without them
+      console.warn('Custom personas unavailable:', error);
+    }
+  }
+
+  /**
+   * Fill the time zone picker after its Auto-detect option
+   */
+  populateTimeZoneOptions() {
+    const select = this.elements.timeZoneSelect;
+    if (!select) return;
+    
+    for (const timeZone of listTimeZones()) {
+      const option = document.createElement('option');
+      option.value = timeZone;
+      option.textContent = formatTimeZone(timeZone);
+      select.appendChild(option);
+    }
+  }
+
   /**
    * Set up event listeners
    */
@@ -126,6 +239,16 @@ class GitStoryApp {
     // Form submission
     this.elements.form?.addEventListener('submit', this.handleFormSubmit);
     
+    // Provider selector
+    this.elements.providerSelect?.addEventListener('change', () => this.updateProviderFields());
+    
+    // Team stories can't be compared year over year
+    this.elements.usernameInput?.addEventListener('input', () => this.updateCompareToggle());
+    
+    // Cached data controls
+    this.elements.btnRefreshCache?.addEventListener('click', () => this.handleClearCache(true));
+    this.elements.btnClearCache?.addEventListener('click', () => this.handleClearCache(false));
+    
     // Keyboard navigation
     document.addEventListener('keydown', this.handleKeyDown);
     
@@ -138,13 +261,47 @@ class GitStoryApp {
     this.elements.btnPlay?.addEventListener('click', () => this.toggleAutoAdvance());
     this.elements.btnFullscreen?.addEventListener('click', () => this.toggleFullscreen());
     
+    // JSON import (drop on the welcome slide or pick a file)
+    const welcomeSlide = document.getElementById('slide-welcome');
+    welcomeSlide?.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      this.elements.importDrop?.classList.add('dragging');
+    });
+    welcomeSlide?.addEventListener('dragleave', (e) => {
+      if (!welcomeSlide.contains(e.relatedTarget)) {
+        this.elements.importDrop?.classList.remove('dragging');
+      }
+    });
+    welcomeSlide?.addEventListener('drop', (e) => {
+      e.preventDefault();
+      this.elements.importDrop?.classList.remove('dragging');
+      const file = e.dataTransfer?.files[0];
+      if (file) this.handleImportFile(file);
+    });
+    this.elements.importFile?.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.handleImportFile(file);
+      e.target.value = '';
+    });
+    
+    // Local git log ingestion
+    this.elements.btnGitLog?.addEventListener('click', () => this.handleGitLogSubmit());
+    
     // Finale buttons
     const downloadBtn = document.getElementById('btn-download-poster');
+    const exportBtn = document.getElementById('btn-export-data');
+    const shareBtn = document.getElementById('btn-share');
     const restartBtn = document.getElementById('btn-restart');
     
     downloadBtn?.addEventListener('click', () => this.handleDownloadPoster());
+    exportBtn?.addEventListener('click', () => this.handleExportData());
+    shareBtn?.addEventListener('click', () => this.handleShareSnapshot());
+    this.elements.btnExportVideo?.addEventListener('click', () => this.handleExportVideo());
     restartBtn?.addEventListener('click', () => this.handleRestart());
     
+    // Rate limit pauses show a countdown on the loading overlay
+    this.api.setWaitHandler((until, reason) => this.updateRateLimitCountdown(until, reason));
+    
     // Visibility change (pause when tab hidden)
     document.addEventListener('visibilitychange', this.handleVisibilityChange);
   }
@@ -161,13 +318,255 @@ class GitStoryApp {
     this.posterExport.generatePoster(this.userData, this.processedData);
   }
 
+  /**
+   * Handle export raw data click
+   */
+  handleExportData() {
+    if (!this.userData) {
+      console.warn('No data available for export');
+      return;
+    }
+    
+    this.storyArchive.download(this.userData);
+  }
+
+  /**
+   * Handle export video click: record the deck as WebM
+   * Recording runs in real time, one auto-advance interval per slide.
+   */
+  async handleExportVideo() {
+    if (!this.userData || !this.processedData) {
+      console.warn('No data available for video export');
+      return;
+    }
+    
+    const status = this.elements.videoStatus;
+    const button = this.elements.btnExportVideo;
+    const slides = this.deck.slice(1);
+    const seconds = Math.round(slides.length * this.autoAdvanceDelay / 1000);
+    
+    if (button) button.disabled = true;
+    try {
+      await this.videoExport.download(slides, this.userData, this.processedData, {
+        format: this.elements.videoFormat?.value || 'landscape',
+        slideDuration: this.autoAdvanceDelay,
+        onProgress: (index, total) => {
+          if (status) status.textContent = `Recording slide ${index + 1} of ${total} (about ${seconds}s in all, keep this tab open)...`;
+        },
+      });
+      if (status) status.textContent = 'Video saved.';
+    } catch (error) {
+      console.error('Error recording video:', error);
+      if (status) {
+        status.textContent = error instanceof VideoExportError
+          ? error.message
+          : 'Could not record the video. Please try again.';
+      }
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  /**
+   * Handle share click: save the story as a standalone HTML page
+   */
+  async handleShareSnapshot() {
+    if (!this.userData || !this.processedData) {
+      console.warn('No data available for snapshot');
+      return;
+    }
+    
+    const status = this.elements.shareStatus;
+    if (status) status.textContent = 'Packing your story...';
+    
+    try {
+      const { userData, processedData } = this.elements.shareStripPrivate?.checked
+        ? this.stripPrivateData()
+        : { userData: this.userData, processedData: this.processedData };
+      
+      await this.storySnapshot.download(userData, processedData);
+      if (status) status.textContent = 'Snapshot saved. It plays offline, no token needed.';
+    } catch (error) {
+      console.error('Error building snapshot:', error);
+      if (status) {
+        status.textContent = error instanceof StorySnapshotError
+          ? error.message
+          : 'Could not build the snapshot. Please try again.';
+      }
+    }
+  }
+
+  /**
+   * Copy the story without private details, for sharing
+   * Private repos keep counting but lose their names, titles and links,
+   * as in the 'aggregate' privacy mode; token details are dropped.
+   * @returns {Object} - { userData, processedData }
+   */
+  stripPrivateData() {
+    const userData = structuredClone(this.userData);
+    githubAPI.redactPrivateRepos(userData);
+    userData.privacy = null;
+    
+    const processedData = this.dataProcessor.processAll(userData);
+    
+    // The comparison is rebuilt from a redacted copy of last year, too
+    if (this.processedData.comparison && this.previousUserData) {
+      const previousData = structuredClone(this.previousUserData);
+      githubAPI.redactPrivateRepos(previousData);
+      previousData.privacy = null;
+      processedData.comparison = this.dataProcessor.compareYears(
+        processedData,
+        this.dataProcessor.processAll(previousData)
+      );
+    }
+    
+    // The team summary can't be rebuilt here, so leave out private shared repos
+    const { team } = this.processedData;
+    if (team) {
+      const privateRepos = new Set([
+        ...this.userData.repos.filter(repo => repo.private).map(repo => repo.full_name),
+        ...this.userData.events.filter(event => event.repo?.private || event.public === false).map(event => event.repo.name),
+      ]);
+      processedData.team = {
+        ...team,
+        sharedRepos: team.sharedRepos.filter(repo => !privateRepos.has(repo.full_name)),
+      };
+    }
+    
+    return { userData, processedData };
+  }
+
+  /**
+   * Play the story embedded in a shared snapshot
+   * @returns {boolean} - Whether this page is a snapshot
+   */
+  playSnapshot() {
+    let snapshot;
+    try {
+      snapshot = this.storySnapshot.read();
+    } catch (error) {
+      this.showError(error.message);
+      return true;
+    }
+    if (!snapshot) return false;
+    
+    this.userData = snapshot.userData;
+    this.processedData = snapshot.processedData;
+    
+    // A snapshot can't pack itself again, and only carries what the slides show
+    this.elements.shareOptions?.setAttribute('hidden', '');
+    document.getElementById('btn-share')?.setAttribute('hidden', '');
+    document.getElementById('btn-export-data')?.setAttribute('hidden', '');
+    
+    this.showLoading();
+    this.presentStory().catch(error => {
+      console.error('Error playing snapshot:', error);
+      this.hideLoading();
+      this.showError('Could not play this snapshot.');
+    });
+    return true;
+  }
+
+  /**
+   * Play a story from an exported JSON file
+   * @param {File} file - Dropped or picked file
+   */
+  async handleImportFile(file) {
+    // Ignore drops while a story is already loading
+    if (this.elements.playBtn?.disabled) return;
+    
+    this.hideError();
+    this.showLoading();
+    this.disableForm();
+    this.updateLoadingStatus(`Reading ${file.name}...`);
+    
+    try {
+      await this.personasReady;
+      this.userData = await this.storyArchive.readFile(file);
+      this.dataProcessor.setTimeZone(this.elements.timeZoneSelect?.value);
+      
+      this.updateLoadingStatus('Processing your story...');
+      this.processedData = this.dataProcessor.processAll(this.userData);
+      
+      await this.presentStory();
+    } catch (error) {
+      console.error('Error importing data:', error);
+      this.hideLoading();
+      this.enableForm();
+      
+      if (error instanceof StoryArchiveError) {
+        this.showError(error.message);
+      } else {
+        this.showError('Could not read this file. Please try another export.');
+      }
+    }
+  }
+
+  /**
+   * Play a story from pasted or uploaded git log output
+   */
+  async handleGitLogSubmit() {
+    const year = parseInt(this.elements.yearSelect?.value) || new Date().getFullYear();
+    const files = [...(this.elements.gitLogFiles?.files || [])];
+    const pasted = this.elements.gitLogText?.value.trim();
+    
+    if (!pasted && files.length === 0) {
+      this.showError('Paste git log output or choose log files first');
+      return;
+    }
+    
+    this.hideError();
+    this.showLoading();
+    this.disableForm();
+    this.updateLoadingStatus('Reading git history...');
+    
+    try {
+      await this.personasReady;
+      
+      // Each uploaded file is one repo, named after the file
+      const logs = await Promise.all(files.map(async file => ({
+        name: file.name.replace(/\.[^.]+$/, ''),
+        text: await file.text(),
+      })));
+      if (pasted) {
+        logs.push({ name: 'local', text: pasted });
+      }
+      
+      const timeZone = this.elements.timeZoneSelect?.value || null;
+      this.userData = this.gitLogSource.build(logs, {
+        year,
+        author: this.elements.gitLogAuthor?.value || '',
+        timeZone,
+      });
+      this.dataProcessor.setTimeZone(timeZone);
+      
+      this.updateLoadingStatus('Processing your story...');
+      this.processedData = this.dataProcessor.processAll(this.userData);
+      
+      await this.presentStory();
+    } catch (error) {
+      console.error('Error reading git log:', error);
+      this.hideLoading();
+      this.enableForm();
+      
+      if (error instanceof GitLogError) {
+        this.showError(error.message);
+      } else {
+        this.showError('Could not read this git log. Please check the format.');
+      }
+    }
+  }
+
   /**
    * Handle restart/new story click
+   * @param {boolean} fromHistory - Already back on the bare URL; don't add an entry
    */
-  handleRestart() {
+  handleRestart(fromHistory = false) {
     // Reset state
     this.userData = null;
+    this.previousUserData = null;
     this.processedData = null;
+    this.storyRoute = null;
     this.currentSlide = 0;
     this.isPlaying = true;
     this.pauseAutoAdvance();
@@ -181,9 +580,10 @@ class GitStoryApp {
       this.elements.slideProgress.style.width = '0%';
     }
     
-    // Go back to welcome slide
+    // Go back to welcome slide with the full deck
     this.elements.slides.forEach(slide => slide.classList.remove('active'));
-    this.elements.slides[0]?.classList.add('active');
+    this.countSlides();
+    this.deck[0]?.element.classList.add('active');
     
     // Reset form
     if (this.elements.usernameInput) {
@@ -195,15 +595,320 @@ class GitStoryApp {
     }
     
     this.enableForm();
+    
+    if (!fromHistory) {
+      this.router.navigate(null);
+    }
+  }
+
+  /**
+   * Follow a story link or a back/forward step
+   * @param {Object|null} route - StoryRouter route, null for the bare URL
+   */
+  handleRoute(route) {
+    // Back past the first slide returns to the form
+    if (!route) {
+      if (this.processedData) this.handleRestart(true);
+      return;
+    }
+    
+    if (this.processedData && this.router.isSameStory(route, this.storyRoute)) {
+      this.goToSlide(this.getSlideIndex(route.slide), 'none');
+      this.resetAutoAdvance();
+      return;
+    }
+    
+    // Another story: load it as if it was typed into the form
+    if (this.elements.playBtn?.disabled) return;
+    
+    const years = [...(this.elements.yearSelect?.options || [])].map(option => Number(option.value));
+    if (!years.includes(route.year)) {
+      this.showError(`There's no ${route.year} story to show. Pick a year from the list.`);
+      return;
+    }
+    
+    // Links always point at github.com
+    if (this.elements.providerSelect) this.elements.providerSelect.value = 'github';
+    if (this.elements.providerBaseUrl) this.elements.providerBaseUrl.value = '';
+    this.updateProviderFields();
+    
+    if (this.elements.usernameInput) this.elements.usernameInput.value = route.username;
+    if (this.elements.yearSelect) this.elements.yearSelect.value = route.year;
+    this.pendingSlide = route.slide;
+    this.elements.form?.requestSubmit();
+  }
+
+  /**
+   * Find a slide in the deck by id
+   * A slide left out for lack of data opens its stand-in, if there is one.
+   * @param {string|null} id - Slide id
+   * @returns {number} - Deck index; the title card when not found
+   */
+  getSlideIndex(id) {
+    let index = this.deck.findIndex(slide => slide.id === id);
+    if (index < 0) {
+      index = this.deck.findIndex(slide => slide.replaces?.includes(id));
+    }
+    return index > 0 ? index : 1;
   }
 
   /**
-   * Count total slides
+   * Declare every slide: what it needs, how it fills in, how it animates
+   * Order comes from the registry, not from here.
+   */
+  registerSlides() {
+    // Sufficiency checks; slides that fail are left out of the deck
+    // Only the charted categories count; 'other' events aren't drawn
+    const hasEvents = ({ activityBreakdown: b }) => b.commits + b.pullRequests + b.issues + b.reviews > 0;
+    const hasTimedActivity = data => data.hourlyActivity.hours.some(count => count > 0);
+    const hasRepos = data => (data.team?.sharedRepos.length || data.topContributedRepos.length) > 0;
+    
+    const percent = value => (value === null || value === undefined ? '—' : `${value}%`);
+    
+    // videoScene hooks describe each slide for the video export: stats
+    // count up, bars and columns grow, lines fade in (see VideoExport)
+    const slides = [
+      { id: 'welcome' },
+      { id: 'title', requires: ['stats'], populate: () => this.populateTitleSlide() },
+      {
+        id: 'velocity',
+        requires: ['stats'],
+        populate: () => this.populateVelocitySlide(),
+        render: () => this.chartsRenderer.renderVelocityChart(this.elements.velocityChart),
+        videoScene: ({ stats, heatmapData }) => ({
+          stats: [
+            { value: stats.totalContributions, label: 'Contributions' },
+            { value: stats.dailyAverage, label: 'Daily Average', decimals: 1 },
+            { value: stats.longestStreak, label: 'Best Streak' },
+            { value: stats.bestDay.count, label: 'Best Day' },
+          ],
+          columns: heatmapData.weeks.map(week => ({
+            value: week.filter(day => day.isCurrentYear).reduce((sum, day) => sum + day.count, 0),
+          })),
+        }),
+      },
+      {
+        id: 'heatmap',
+        requires: ['heatmapData'],
+        render: () => this.renderHeatmapSlide(),
+        videoScene: ({ stats, heatmapData }) => ({
+          stats: [
+            { value: stats.activeDays, label: 'Active Days' },
+            { value: stats.longestStreak, label: 'Longest Streak' },
+          ],
+          heatmap: heatmapData.weeks,
+        }),
+      },
+      {
+        id: 'composition',
+        requires: ['activityBreakdown'],
+        when: hasEvents,
+        render: () => this.populateCompositionSlide(),
+        videoScene: ({ activityBreakdown: { commits, pullRequests, issues, reviews, total } }) => ({
+          stats: [{ value: total, label: 'Events' }],
+          bars: [
+            { label: 'Commits', value: commits, color: 'aurora1' },
+            { label: 'Pull Requests', value: pullRequests, color: 'aurora3' },
+            { label: 'Issues', value: issues, color: 'accent1' },
+            { label: 'Reviews', value: reviews, color: 'accent2' },
+          ],
+        }),
+      },
+      {
+        id: 'routine',
+        requires: ['hourlyActivity'],
+        when: hasTimedActivity,
+        render: () => this.populateDailyRoutineSlide(),
+        videoScene: ({ hourlyActivity }) => ({
+          stats: [
+            { value: hourlyActivity.peakHourFormatted, label: 'Peak Hour' },
+            { value: hourlyActivity.busiestDay, label: 'Busiest Day' },
+          ],
+          columns: hourlyActivity.hours.map((value, hour) => ({
+            value,
+            label: hour % 6 === 0 ? `${hour}:00` : '',
+          })),
+        }),
+      },
+      {
+        id: 'productivity',
+        requires: ['hourlyActivity'],
+        when: hasTimedActivity,
+        render: () => this.populateProductivitySlide(),
+        videoScene: ({ hourlyActivity: { timeOfDay } }) => ({
+          bars: [
+            { label: 'Morning', value: timeOfDay.morning, color: 'accent1' },
+            { label: 'Afternoon', value: timeOfDay.afternoon, color: 'aurora1' },
+            { label: 'Evening', value: timeOfDay.evening, color: 'aurora3' },
+            { label: 'Night', value: timeOfDay.night, color: 'aurora2' },
+          ],
+        }),
+      },
+      {
+        id: 'community',
+        requires: ['stats'],
+        render: () => this.populateCommunitySlide(),
+        videoScene: ({ stats }, { user, repos }) => ({
+          stats: [
+            { value: stats.followers || 0, label: 'Followers' },
+            { value: stats.totalStars, label: 'Stars' },
+            { value: user.public_repos || repos.length, label: 'Repositories' },
+            { value: stats.totalForks, label: 'Forks' },
+          ],
+        }),
+      },
+      {
+        id: 'network',
+        requires: ['collaboration'],
+        when: data => data.collaboration.nodes.length > 1,
+        render: () => this.populateNetworkSlide(),
+        videoScene: ({ collaboration }) => {
+          const collaborators = collaboration.nodes.filter(node => !node.isUser);
+          return {
+            stats: [{ value: collaborators.length, label: 'Collaborators' }],
+            lines: collaborators.slice(0, 5).map(node => `@${node.id}`),
+          };
+        },
+      },
+      {
+        id: 'languages',
+        requires: ['languages'],
+        render: () => this.populateLanguageSlide(),
+        videoScene: ({ languages }) => ({
+          stats: [{ value: languages?.count || 0, label: 'Languages' }],
+          bars: (languages?.languages || []).slice(0, 6).map(lang => ({
+            label: lang.name,
+            value: parseFloat(lang.percentage) || 0,
+            suffix: '%',
+            color: this.chartsRenderer.getLanguageColor(lang.name),
+          })),
+        }),
+      },
+      {
+        id: 'code-volume',
+        requires: ['stats'],
+        // Only stories loaded with the deep scan on have line counts
+        when: data => !!data.stats.codeVolume,
+        render: () => this.populateCodeVolumeSlide(),
+        videoScene: ({ stats: { codeVolume } }) => ({
+          stats: [
+            { value: codeVolume.additions, label: 'Lines Added', prefix: '+' },
+            { value: codeVolume.deletions, label: 'Lines Removed', prefix: '−' },
+            { value: codeVolume.filesTouched, label: 'Files Touched' },
+            { value: codeVolume.averageCommitSize, label: 'Avg Commit Size' },
+          ],
+        }),
+      },
+      {
+        id: 'pull-requests',
+        requires: ['pullRequests'],
+        when: data => data.pullRequests.total > 0,
+        render: () => this.populatePullRequestSlide(),
+        videoScene: ({ pullRequests: prs }) => ({
+          stats: [
+            { value: prs.total, label: 'Pull Requests' },
+            { value: percent(prs.mergeRate), label: 'Merge Rate' },
+          ],
+          bars: prs.mergeTimeDistribution?.map(bucket => ({ label: bucket.label, value: bucket.count })) || null,
+        }),
+      },
+      {
+        id: 'reviews',
+        requires: ['reviews'],
+        when: data => data.reviews.total > 0,
+        render: () => this.populateReviewSlide(),
+        videoScene: ({ reviews }) => ({
+          stats: [
+            { value: reviews.total, label: 'Reviews' },
+            { value: percent(reviews.approvalRatio), label: 'Approvals' },
+            { value: reviews.comments, label: 'Comments' },
+          ],
+          bars: reviews.byRepo.slice(0, 5).map(repo => ({ label: repo.name, value: repo.count })),
+        }),
+      },
+      {
+        id: 'issues',
+        requires: ['issues'],
+        when: ({ issues }) => issues.opened + issues.closedByYou + issues.commentedOn + (issues.answers || 0) > 0,
+        render: () => this.populateIssueSlide(),
+        videoScene: ({ issues }) => ({
+          stats: [
+            { value: issues.opened, label: 'Issues Opened' },
+            { value: percent(issues.closeRate), label: 'Close Rate' },
+            { value: issues.commentedOn, label: 'Discussed' },
+          ],
+          bars: issues.labels.slice(0, 5).map(label => ({ label: label.name, value: label.count })),
+        }),
+      },
+      {
+        id: 'top-repos',
+        requires: ['topContributedRepos'],
+        when: hasRepos,
+        render: () => this.populateTopReposSlide(),
+        videoScene: (data) => {
+          const repos = data.team?.sharedRepos.length ? data.team.sharedRepos : data.topContributedRepos;
+          return {
+            lines: repos.slice(0, 5).map((repo, index) => {
+              const activity = repo.userActivity || {};
+              const total = (activity.commits || 0) + (activity.pullRequests || 0) + (activity.reviews || 0);
+              return `#${index + 1}  ${repo.name}  ·  ${total} contribs`;
+            }),
+          };
+        },
+      },
+      {
+        id: 'featured',
+        requires: ['scoredRepos', 'topContributedRepos'],
+        when: data => data.topContributedRepos.length > 0,
+        render: () => this.populateFeaturedRepoSlide(),
+        videoScene: ({ topContributedRepos: [featured] }) => ({
+          stats: [
+            { value: featured.stargazers_count || 0, label: 'Stars' },
+            { value: featured.forks_count || 0, label: 'Forks' },
+          ],
+          lines: [featured.name, featured.description || '', featured.language || ''].filter(Boolean),
+        }),
+      },
+      {
+        id: 'finale',
+        requires: ['persona'],
+        render: () => this.populateGrandFinaleSlide(),
+        videoScene: ({ stats }, { repos }) => ({
+          stats: [
+            { value: stats.totalContributions, label: 'Contributions' },
+            { value: repos.length, label: 'Repositories' },
+            { value: stats.longestStreak, label: 'Best Streak' },
+          ],
+        }),
+      },
+      
+      // Not in the deck order; takes the place of the first of these left out
+      {
+        id: 'quiet-year',
+        requires: ['stats'],
+        replaces: ['composition', 'routine', 'productivity', 'top-repos', 'featured'],
+        populate: () => this.populateQuietYearSlide(),
+        videoScene: () => ({
+          lines: [
+            document.getElementById('quiet-summary')?.textContent || '',
+            document.getElementById('quiet-skipped')?.textContent || '',
+          ].filter(Boolean),
+        }),
+      },
+    ];
+    
+    slides.forEach(slide => this.slideRegistry.register(slide));
+  }
+
+  /**
+   * Build the deck for the current story and count its slides
    */
   countSlides() {
-    this.totalSlides = this.elements.slides.length;
+    this.deck = this.slideRegistry.buildDeck(this.processedData, this.userData);
+    this.totalSlides = this.deck.length;
     if (this.elements.totalSlidesNum) {
-      this.elements.totalSlidesNum.textContent = this.totalSlides;
+      // The counter, like the progress bar, leaves out the welcome slide
+      this.elements.totalSlidesNum.textContent = Math.max(this.totalSlides - 1, 1);
     }
   }
 
@@ -216,16 +921,28 @@ class GitStoryApp {
     
     const username = this.elements.usernameInput?.value.trim();
     const token = this.elements.tokenInput?.value.trim();
+    const year = parseInt(this.elements.yearSelect?.value) || new Date().getFullYear();
+    const compare = !!this.elements.compareToggle?.checked;
+    const team = this.parseTeamInput(username);
     
     if (!username) {
       this.showError('Please enter a GitHub username');
       return;
     }
     
+    this.selectProvider();
+    
     // Set token if provided
     if (token) {
-      githubAPI.setToken(token);
+      this.api.setToken(token);
     }
+    this.api.setPrivacyMode?.(this.elements.privateMode?.value);
+    this.api.setDeepScan?.(!!this.elements.deepScanToggle?.checked);
+    
+    // Hours, weekdays and calendar days are counted in the developer's zone
+    const timeZone = this.elements.timeZoneSelect?.value || null;
+    this.api.setTimeZone(timeZone);
+    this.dataProcessor.setTimeZone(timeZone);
     
     // Hide error, show loading
     this.hideError();
@@ -233,32 +950,44 @@ class GitStoryApp {
     this.disableForm();
     
     try {
-      // Fetch all data
-      this.userData = await githubAPI.fetchAllData(username, (status) => {
-        this.updateLoadingStatus(status);
-      });
-      
-      // Process data
-      this.updateLoadingStatus('Processing your story...');
-      this.processedData = this.dataProcessor.processAll(this.userData);
+      await this.personasReady;
       
-      // Populate slides
-      await this.populateSlides();
+      this.previousUserData = null;
+      if (team) {
+        await this.loadTeamStory(team, year);
+      } else {
+        // Fetch all data
+        this.userData = await this.api.fetchAllData(username, (status) => {
+          this.updateLoadingStatus(status);
+        }, year);
+        
+        // Process data
+        this.updateLoadingStatus('Processing your story...');
+        this.processedData = this.dataProcessor.processAll(this.userData);
+      }
       
-      // Hide loading, show navigation
-      this.hideLoading();
-      this.showNavControls();
+      // Year-over-year mode: fetch and process the previous year too
+      if (compare && !team) {
+        this.previousUserData = await this.api.fetchAllData(username, (status) => {
+          this.updateLoadingStatus(`${year - 1}: ${status}`);
+        }, year - 1);
+        
+        this.processedData.comparison = this.dataProcessor.compareYears(
+          this.processedData,
+          this.dataProcessor.processAll(this.previousUserData)
+        );
+      }
       
-      // Go to title card (no auto-advance)
-      this.goToSlide(1);
-      // User controls navigation manually
+      // Only github.com stories can be reopened from a link
+      await this.presentStory(this.api === githubAPI ? { username, year } : null);
       
     } catch (error) {
       console.error('Error fetching data:', error);
+      this.pendingSlide = null;
       this.hideLoading();
       this.enableForm();
       
-      if (error instanceof GitHubAPIError) {
+      if (error instanceof ProviderAPIError) {
         this.showError(error.getUserFriendlyMessage());
       } else {
         this.showError('Something went wrong. Please try again.');
@@ -266,14 +995,185 @@ class GitStoryApp {
     }
   }
 
+  /**
+   * Populate slides from processedData and open the title card
+   * @param {Object|null} route - { username, year } to keep in the URL
+   */
+  async presentStory(route = null) {
+    // A linked story can replace one already on screen
+    this.deck[this.currentSlide]?.element.classList.remove('active');
+    this.currentSlide = 0;
+    this.storyRoute = route;
+    
+    // Pick the slides this story has data for, then fill them
+    this.countSlides();
+    await this.populateSlides();
+    
+    // Hide loading, show navigation
+    this.hideLoading();
+    this.showNavControls();
+    
+    // Go to the linked slide or the title card (no auto-advance)
+    const linkedSlide = this.pendingSlide;
+    this.pendingSlide = null;
+    this.goToSlide(linkedSlide ? this.getSlideIndex(linkedSlide) : 1, linkedSlide ? 'replace' : 'push');
+    // User controls navigation manually
+  }
+
+  /**
+   * Point this.api at the provider chosen in the form
+   */
+  selectProvider() {
+    const type = this.elements.providerSelect?.value || 'github';
+    const baseUrl = this.elements.providerBaseUrl?.value.trim() || '';
+    
+    this.api = getProvider(type, baseUrl);
+    this.api.setWaitHandler((until, reason) => this.updateRateLimitCountdown(until, reason));
+  }
+
+  /**
+   * Show the chosen provider's public API root as the base URL placeholder
+   */
+  updateProviderFields() {
+    const type = this.elements.providerSelect?.value || 'github';
+    
+    if (this.elements.providerBaseUrl) {
+      this.elements.providerBaseUrl.placeholder = PROVIDERS[type].defaultBaseUrl;
+    }
+  }
+
+  /**
+   * Disable year-over-year comparison while the username field names a team
+   */
+  updateCompareToggle() {
+    const toggle = this.elements.compareToggle;
+    if (!toggle) return;
+    
+    const team = this.parseTeamInput(this.elements.usernameInput?.value.trim() || '');
+    toggle.disabled = !!team;
+    
+    const label = toggle.closest('label');
+    if (team) {
+      label?.setAttribute('title', 'Year-over-year comparison is only available for single users');
+    } else {
+      label?.removeAttribute('title');
+    }
+  }
+
+  /**
+   * Drop cached API responses for the user(s) in the username field
+   * @param {boolean} refetch - Start the story again with fresh data
+   */
+  async handleClearCache(refetch) {
+    const username = this.elements.usernameInput?.value.trim();
+    
+    if (!username) {
+      this.showError('Enter a username to clear its cached data');
+      return;
+    }
+    
+    const team = this.parseTeamInput(username);
+    const targets = team ? (team.usernames || [team.org]) : [username];
+    
+    this.selectProvider();
+    try {
+      await Promise.all(targets.map(name => this.api.clearUserCache(name)));
+    } catch (error) {
+      console.error('Error clearing cache:', error);
+      this.showError('Could not clear the cached data. Please try again.');
+      return;
+    }
+    
+    if (this.elements.cacheStatus) {
+      this.elements.cacheStatus.textContent = `Cleared cached data for ${targets.map(t => '@' + t).join(', ')}`;
+    }
+    
+    if (refetch) {
+      this.elements.form?.requestSubmit();
+    }
+  }
+
+  /**
+   * Parse the username field for a team story
+   * Accepts `org:name` or a comma-separated list of usernames.
+   * @param {string} input - Raw username field value
+   * @returns {Object|null} - { org } or { usernames }, null for a single user
+   */
+  parseTeamInput(input) {
+    const orgMatch = input.match(/^org:\s*(\S+)$/i);
+    if (orgMatch) {
+      return { org: orgMatch[1] };
+    }
+    
+    const usernames = input.split(',').map(name => name.trim().replace(/^@/, '')).filter(Boolean);
+    return usernames.length > 1 ? { usernames } : null;
+  }
+
+  /**
+   * Fetch every team member, then merge them into one story
+   * @param {Object} team - Result of parseTeamInput
+   * @param {number} year - Story year
+   */
+  async loadTeamStory(team, year) {
+    const onProgress = (status) => this.updateLoadingStatus(status);
+    let profile = null;
+    let usernames = team.usernames;
+    
+    if (team.org) {
+      if (!this.api.getOrgMembers) {
+        throw this.api.createError(`Organization stories aren't available for ${this.api.name}`, 400);
+      }
+      onProgress('Fetching organization...');
+      profile = await this.api.getOrg(team.org);
+      usernames = await this.api.getOrgMembers(team.org);
+    }
+    
+    const membersRaw = await this.api.fetchTeamData(usernames, onProgress, year);
+    if (membersRaw.length === 0) {
+      throw this.api.createError('No team members found', 404);
+    }
+    
+    onProgress('Processing your team story...');
+    const members = membersRaw.map(raw => ({ raw, processed: this.dataProcessor.processAll(raw) }));
+    
+    this.userData = this.dataProcessor.mergeTeamData(membersRaw, profile, year);
+    this.processedData = this.dataProcessor.processAll(this.userData);
+    this.processedData.team = this.dataProcessor.buildTeamSummary(members);
+  }
+
   /**
    * Populate slides with user data
    */
   async populateSlides() {
-    const { user, contributions } = this.userData;
-    const { stats, heatmapData } = this.processedData;
+    const { year } = this.processedData;
+    
+    // Story year labels across slides
+    document.querySelectorAll('.story-year').forEach(el => {
+      el.textContent = year;
+    });
+    this.elements.heatmapGrid?.setAttribute('aria-label', `Contribution heatmap for ${year}`);
+    
+    // Private work folded into the totals
+    this.populatePrivacy();
+    
+    // Year-over-year deltas
+    this.populateComparison();
+    
+    // Team leaderboard
+    const leaderboardEl = document.getElementById('team-leaderboard');
+    if (leaderboardEl) leaderboardEl.hidden = !this.processedData.team;
+    
+    // Slide-specific content; charts render when slides become visible
+    this.deck.forEach(slide => slide.populate?.());
+    this.chartsRenderer.setData(this.processedData);
+  }
+
+  /**
+   * Populate Title Card slide
+   */
+  populateTitleSlide() {
+    const { user } = this.userData;
     
-    // Title Card (Slide 2)
     this.elements.userAvatar.src = user.avatar_url;
     this.elements.userAvatar.alt = `${user.login}'s GitHub avatar`;
     this.elements.userName.textContent = user.name || user.login;
@@ -298,15 +1198,89 @@ class GitStoryApp {
       month: 'long', 
       year: 'numeric' 
     })}`;
+  }
+
+  /**
+   * Populate Velocity Chronicle stats
+   */
+  populateVelocitySlide() {
+    const { stats } = this.processedData;
     
-    // Velocity Stats (Slide 3)
     this.elements.totalContributions.textContent = stats.totalContributions.toLocaleString();
     this.elements.dailyAverage.textContent = stats.dailyAverage.toFixed(1);
     this.elements.bestStreak.textContent = stats.longestStreak;
     this.elements.bestDay.textContent = stats.bestDay.count;
+  }
+
+  /**
+   * Report what the token could see and how much private work is included
+   */
+  populatePrivacy() {
+    const { privacy } = this.processedData;
+    const note = document.getElementById('private-contributions-note');
+    
+    // Snapshots leave the token's scopes out
+    if (this.elements.tokenScopes && privacy?.scopes !== undefined) {
+      const scopes = privacy.scopes === null ? 'fine-grained token' : `scopes: ${privacy.scopes.join(', ') || 'none'}`;
+      this.elements.tokenScopes.textContent = privacy.includesPrivate
+        ? `Token ${scopes} — ${privacy.privateRepos} private repos included`
+        : `Token ${scopes} — public data only`;
+    }
     
-    // Render charts when slides become visible
-    this.chartsRenderer.setData(this.processedData);
+    if (!note) return;
+    const parts = [];
+    if (privacy?.privateRepos) parts.push(`${privacy.privateRepos} private repos`);
+    if (privacy?.restrictedContributions) parts.push(`${privacy.restrictedContributions.toLocaleString()} private contributions`);
+    
+    note.hidden = parts.length === 0;
+    note.textContent = parts.length ? `incl. ${parts.join(' & ')}` : '';
+  }
+
+  /**
+   * Show or hide year-over-year elements across slides
+   */
+  populateComparison() {
+    const { comparison } = this.processedData;
+    
+    const deltaTargets = {
+      'total-contributions-delta': comparison?.deltas.totalContributions,
+      'best-streak-delta': comparison?.deltas.longestStreak,
+    };
+    
+    Object.entries(deltaTargets).forEach(([id, delta]) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      
+      el.hidden = !delta;
+      if (!delta) return;
+      
+      const sign = delta.change >= 0 ? '+' : '−';
+      const percent = delta.percent !== null ? ` (${sign}${Math.abs(delta.percent)}%)` : '';
+      el.textContent = `${sign}${Math.abs(delta.change).toLocaleString()}${percent} vs ${comparison.previousYear}`;
+      el.classList.toggle('negative', delta.change < 0);
+    });
+    
+    if (this.elements.heatmapCompare) {
+      this.elements.heatmapCompare.hidden = !comparison;
+    }
+    const compareYearEl = document.getElementById('heatmap-compare-year');
+    if (compareYearEl && comparison) compareYearEl.textContent = comparison.previousYear;
+    
+    // Finale highlights
+    const finaleEl = document.getElementById('finale-comparison');
+    const highlightsEl = document.getElementById('comparison-highlights');
+    const comparisonYearEl = document.getElementById('comparison-year');
+    
+    if (finaleEl) finaleEl.hidden = !comparison?.highlights.length;
+    if (comparisonYearEl && comparison) comparisonYearEl.textContent = comparison.previousYear;
+    if (highlightsEl) {
+      highlightsEl.innerHTML = '';
+      (comparison?.highlights || []).forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        highlightsEl.appendChild(item);
+      });
+    }
   }
 
   /**
@@ -387,24 +1361,34 @@ class GitStoryApp {
   /**
    * Navigate to a specific slide
    * @param {number} index - Slide index
+   * @param {string} history - 'push' a history entry, 'replace' the current one, or 'none'
    */
-  goToSlide(index) {
+  goToSlide(index, history = 'push') {
     if (index < 0 || index >= this.totalSlides) return;
     
-    const prevSlide = this.elements.slides[this.currentSlide];
-    const nextSlide = this.elements.slides[index];
+    const prevSlide = this.deck[this.currentSlide];
+    const nextSlide = this.deck[index];
     
     // Update active state
-    prevSlide?.classList.remove('active');
-    nextSlide?.classList.add('active');
+    prevSlide?.element.classList.remove('active');
+    nextSlide?.element.classList.add('active');
     
     // Trigger slide-specific animations/rendering
+    if (prevSlide && prevSlide !== nextSlide) {
+      this.auroraSlides.onExit(prevSlide.animation);
+    }
     this.onSlideEnter(index);
     
     this.currentSlide = index;
     this.updateSlideCounter();
     this.updateProgress();
     this.updateNavButtons();
+    
+    // Keep the URL on this slide so it can be shared
+    if (history !== 'none' && index > 0) {
+      const route = this.storyRoute ? { ...this.storyRoute, slide: nextSlide.id } : null;
+      this.router.navigate(route, history === 'replace');
+    }
   }
 
   /**
@@ -429,76 +1413,38 @@ class GitStoryApp {
 
   /**
    * Called when entering a slide
-   * @param {number} index - Slide index
+   * @param {number} index - Position in the deck
    */
   onSlideEnter(index) {
-    const delay = 300;
+    const slide = this.deck[index];
+    if (!slide) return;
     
-    switch (index) {
-      case 2: // Velocity Chronicle
-        setTimeout(() => {
-          this.chartsRenderer.renderVelocityChart(this.elements.velocityChart);
-        }, delay);
-        break;
-        
-      case 3: // Grid Tapestry (Heatmap)
-        setTimeout(() => {
-          this.chartsRenderer.renderHeatmap(this.elements.heatmapGrid, this.elements.heatmapMonths);
-        }, delay);
-        break;
-        
-      case 4: // Composition Ledger (Commits/PRs/Issues pie)
-        setTimeout(() => {
-          this.populateCompositionSlide();
-        }, delay);
-        break;
-        
-      case 5: // Daily Routine (Day of week chart)
-        setTimeout(() => {
-          this.populateDailyRoutineSlide();
-        }, delay);
-        break;
-        
-      case 6: // Productivity Hours (Hourly chart)
-        setTimeout(() => {
-          this.populateProductivitySlide();
-        }, delay);
-        break;
-        
-      case 7: // Community Standing (Social stats)
-        setTimeout(() => {
-          this.populateCommunitySlide();
-        }, delay);
-        break;
-        
-      case 8: // Language Portfolio
-        setTimeout(() => {
-          this.populateLanguageSlide();
-        }, delay);
-        break;
-        
-      case 9: // Top 5 Repos
-        setTimeout(() => {
-          this.populateTopReposSlide();
-        }, delay);
-        break;
-        
-      case 10: // Featured Repo
-        setTimeout(() => {
-          this.populateFeaturedRepoSlide();
-        }, delay);
-        break;
-        
-      case 11: // Grand Finale
-        setTimeout(() => {
-          this.populateGrandFinaleSlide();
-        }, delay);
-        break;
+    this.auroraSlides.onEnter(slide.animation, this.processedData);
+    
+    // Let the slide transition settle before drawing charts
+    if (slide.render && this.processedData) {
+      setTimeout(() => slide.render(), 300);
     }
   }
 
   /**
-   * Populate Composition Ledger slide (Slide 5)
+   * Render Grid Tapestry heatmaps, with last year's when comparing
+   */
+  renderHeatmapSlide() {
+    this.chartsRenderer.renderHeatmap(this.elements.heatmapGrid, this.elements.heatmapMonths);
+    
+    const previous = this.processedData?.comparison?.previous;
+    if (previous) {
+      this.chartsRenderer.renderHeatmap(
+        this.elements.heatmapGridPrevious,
+        this.elements.heatmapMonthsPrevious,
+        previous.heatmapData
+      );
+    }
+  }
+
+  /**
+   * Populate Composition Ledger slide
    */
   populateCompositionSlide() {
     const { stats } = this.processedData;
@@ -561,28 +1507,16 @@ class GitStoryApp {
   }
 
   /**
-   * Populate Daily Routine slide (Slide 6)
+   * Populate Daily Routine slide
    * Note: This slide shows hourly activity in the HTML
    */
   populateDailyRoutineSlide() {
-    const { events } = this.userData;
-    
-    // Count by hour for the bar chart
-    const hourCounts = new Array(24).fill(0);
-    events.forEach(event => {
-      const hour = new Date(event.created_at).getHours();
-      hourCounts[hour]++;
-    });
+    const { hours: hourCounts, days: dayCounts } = this.processedData.hourlyActivity;
     
     const maxHour = hourCounts.indexOf(Math.max(...hourCounts));
     
     // Find busiest day of week
     const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    const dayCounts = new Array(7).fill(0);
-    events.forEach(event => {
-      const day = new Date(event.created_at).getDay();
-      dayCounts[day]++;
-    });
     const maxDayIndex = dayCounts.indexOf(Math.max(...dayCounts));
     
     // Update insights using actual HTML element IDs
@@ -592,6 +1526,19 @@ class GitStoryApp {
     if (peakHourEl) peakHourEl.textContent = `${maxHour}:00`;
     if (busiestDayEl) busiestDayEl.textContent = days[maxDayIndex].slice(0, 3);
     
+    // Say which clock the hours are on
+    const timeZoneEl = document.getElementById('routine-time-zone');
+    const timeZone = this.processedData.timeZone;
+    if (timeZoneEl && timeZone) {
+      const sources = {
+        setting: 'as chosen',
+        commits: 'from your commit times',
+        location: 'from your profile location',
+        browser: "from this browser's clock",
+      };
+      timeZoneEl.textContent = `Times in ${formatTimeZone(timeZone.id)}, ${sources[timeZone.source] || 'auto-detected'}`;
+    }
+    
     // Render hourly bar chart
     const canvas = document.getElementById('hourly-chart');
     if (canvas) {
@@ -600,23 +1547,11 @@ class GitStoryApp {
   }
 
   /**
-   * Populate Productivity Hours slide (Slide 7)
+   * Populate Productivity Hours slide
    */
   populateProductivitySlide() {
-    const { events } = this.userData;
-    
-    // Count by hour
-    const hourCounts = new Array(24).fill(0);
-    events.forEach(event => {
-      const hour = new Date(event.created_at).getHours();
-      hourCounts[hour]++;
-    });
-    
-    // Calculate time period distributions
-    const morning = hourCounts.slice(6, 12).reduce((a, b) => a + b, 0);
-    const afternoon = hourCounts.slice(12, 18).reduce((a, b) => a + b, 0);
-    const evening = hourCounts.slice(18, 22).reduce((a, b) => a + b, 0);
-    const night = [...hourCounts.slice(22), ...hourCounts.slice(0, 6)].reduce((a, b) => a + b, 0);
+    // Time period distributions
+    const { morning, afternoon, evening, night } = this.processedData.hourlyActivity.timeOfDay;
     const total = morning + afternoon + evening + night || 1;
     
     // Update percentage elements
@@ -630,35 +1565,28 @@ class GitStoryApp {
     if (eveningEl) eveningEl.textContent = `${Math.round((evening / total) * 100)}%`;
     if (nightEl) nightEl.textContent = `${Math.round((night / total) * 100)}%`;
     
-    // Determine persona based on time preference
-    const maxPeriod = Math.max(morning, afternoon, evening, night);
-    let personaName = 'The Night Owl';
-    let personaEmoji = '🦉';
-    let personaDesc = 'Burns midnight oil crafting code';
-    
-    if (maxPeriod === morning) {
-      personaName = 'The Early Bird';
-      personaEmoji = '🌅';
-      personaDesc = 'Catches bugs at dawn';
-    } else if (maxPeriod === afternoon) {
-      personaName = 'The Steady Craftsman';
-      personaEmoji = '⚒️';
-      personaDesc = 'Prime time productivity';
-    } else if (maxPeriod === evening) {
-      personaName = 'The Twilight Coder';
-      personaEmoji = '🌆';
-      personaDesc = 'Creates magic at dusk';
-    }
-    
+    // Same persona as the finale and poster, with why it was picked
+    const { persona } = this.processedData;
     const personaNameEl = document.getElementById('persona-name');
     const personaEmojiEl = document.getElementById('persona-emoji');
     const personaDescEl = document.getElementById('persona-desc');
+    const personaReasonEl = document.getElementById('persona-reason');
+    const personaSecondaryEl = document.getElementById('persona-secondary');
     
-    if (personaNameEl) personaNameEl.textContent = personaName;
-    if (personaEmojiEl) personaEmojiEl.textContent = personaEmoji;
-    if (personaDescEl) personaDescEl.textContent = personaDesc;
+    if (personaNameEl) personaNameEl.textContent = persona.name || 'The Developer';
+    if (personaEmojiEl) personaEmojiEl.textContent = persona.emoji || '🔧';
+    if (personaDescEl) personaDescEl.textContent = persona.description || '';
+    if (personaReasonEl) personaReasonEl.textContent = persona.reasons?.join(' · ') || '';
+    if (personaSecondaryEl) {
+      const secondary = persona.secondary || [];
+      personaSecondaryEl.hidden = secondary.length === 0;
+      personaSecondaryEl.textContent = secondary.length
+        ? `Also: ${secondary.map(p => `${p.emoji} ${p.name}`).join(', ')}`
+        : '';
+    }
     
     // Highlight the dominant time segment on the clock
+    const maxPeriod = Math.max(morning, afternoon, evening, night);
     const segments = { morning, afternoon, evening, night };
     Object.entries(segments).forEach(([period, value]) => {
       const segment = document.getElementById(`seg-${period}`);
@@ -670,7 +1598,7 @@ class GitStoryApp {
   }
 
   /**
-   * Populate Community Standing slide (Slide 8)
+   * Populate Community Standing slide
    */
   populateCommunitySlide() {
     const { user, repos } = this.userData;
@@ -688,53 +1616,320 @@ class GitStoryApp {
     if (starsEl) starsEl.textContent = totalStars.toLocaleString();
     if (reposEl) reposEl.textContent = (user.public_repos || repos.length).toLocaleString();
     if (forksEl) forksEl.textContent = totalForks.toLocaleString();
+    
+    // Team stories add a most-active-members leaderboard
+    const { team } = this.processedData;
+    if (team) {
+      this.chartsRenderer.renderLeaderboard(
+        document.getElementById('leaderboard-list'),
+        team.leaderboard
+      );
+    }
+  }
+
+  /**
+   * Populate Collaboration Network slide
+   */
+  populateNetworkSlide() {
+    const graph = this.processedData.collaboration;
+    const noteEl = document.getElementById('network-note');
+    
+    this.chartsRenderer.renderCollaborationGraph(document.getElementById('network-chart'), graph);
+    
+    const [closest] = graph.nodes.filter(node => !node.isUser);
+    if (noteEl) {
+      noteEl.textContent = `${graph.nodes.length - 1} collaborators · closest: @${closest.id}`;
+    }
   }
 
   /**
-   * Populate Language Portfolio slide (Slide 9)
+   * Populate Language Portfolio slide
    */
   populateLanguageSlide() {
-    const { repos } = this.userData;
+    const { repos, languages } = this.userData;
+    const langCountEl = document.getElementById('language-count');
+    const container = document.getElementById('language-list');
     
-    // Count languages
-    const langCounts = {};
-    repos.forEach(repo => {
-      if (repo.language) {
-        langCounts[repo.language] = (langCounts[repo.language] || 0) + 1;
+    // Prefer the byte breakdown weighted by the user's commits
+    if (languages?.languages?.length) {
+      if (langCountEl) langCountEl.textContent = languages.count;
+      if (container) {
+        const data = languages.languages.slice(0, 6).map(lang => ({
+          label: lang.name,
+          value: lang.bytes,
+          percent: Math.round(parseFloat(lang.percentage)),
+        }));
+        this.chartsRenderer.renderLanguageBars(container, data);
       }
-    });
+    } else {
+      // Count languages
+      const langCounts = {};
+      repos.forEach(repo => {
+        if (repo.language) {
+          langCounts[repo.language] = (langCounts[repo.language] || 0) + 1;
+        }
+      });
+      
+      // Sort and get top languages
+      const sortedLangs = Object.entries(langCounts)
+        .sort((a, b) => b[1] - a[1]);
+      
+      const topLangs = sortedLangs.slice(0, 6);
+      const totalReposWithLang = sortedLangs.reduce((sum, [_, count]) => sum + count, 0);
+      
+      // Update language count
+      if (langCountEl) langCountEl.textContent = sortedLangs.length;
+      
+      // Render language bars - using actual HTML element ID
+      if (container) {
+        const data = topLangs.map(([lang, count]) => ({
+          label: lang,
+          value: count,
+          percent: Math.round((count / totalReposWithLang) * 100)
+        }));
+        this.chartsRenderer.renderLanguageBars(container, data);
+      }
+    }
     
-    // Sort and get top languages
-    const sortedLangs = Object.entries(langCounts)
-      .sort((a, b) => b[1] - a[1]);
+    // Year-over-year language shift
+    const shiftEl = document.getElementById('language-shift');
+    const shifts = this.processedData.comparison?.languages?.shifts;
+    if (shiftEl) {
+      const topShifts = (shifts || []).filter(l => l.change !== 0).slice(0, 3);
+      shiftEl.hidden = topShifts.length === 0;
+      shiftEl.textContent = topShifts
+        .map(l => `${l.name} ${l.change > 0 ? '+' : '−'}${Math.abs(l.change)}pts`)
+        .join(' · ') + (topShifts.length ? ` vs ${this.processedData.comparison.previousYear}` : '');
+    }
+  }
+
+  /**
+   * Populate Code Volume slide
+   * Only in the deck when the story was loaded with the deep scan on.
+   */
+  populateCodeVolumeSlide() {
+    const { codeVolume } = this.processedData.stats;
     
-    const topLangs = sortedLangs.slice(0, 6);
-    const totalReposWithLang = sortedLangs.reduce((sum, [_, count]) => sum + count, 0);
+    const setText = (id, text) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    };
     
-    // Update language count
-    const langCountEl = document.getElementById('language-count');
-    if (langCountEl) langCountEl.textContent = sortedLangs.length;
+    setText('lines-added', `+${codeVolume.additions.toLocaleString()}`);
+    setText('lines-removed', `−${codeVolume.deletions.toLocaleString()}`);
+    setText('files-touched', codeVolume.filesTouched.toLocaleString());
+    setText('avg-commit-size', codeVolume.averageCommitSize.toLocaleString());
+    
+    // Largest commit
+    const largest = codeVolume.largestCommit;
+    const messageEl = document.getElementById('largest-commit-message');
+    if (messageEl) {
+      messageEl.textContent = largest ? (largest.message || 'Private commit') : 'No commits scanned';
+      if (largest?.html_url) {
+        messageEl.href = largest.html_url;
+      } else {
+        messageEl.removeAttribute('href');
+      }
+    }
+    setText('largest-commit-meta', largest
+      ? `${largest.repo} · +${largest.additions.toLocaleString()} −${largest.deletions.toLocaleString()}`
+      : '');
     
-    // Render language bars - using actual HTML element ID
-    const container = document.getElementById('language-list');
+    // Most-edited file types
+    const container = document.getElementById('file-type-list');
     if (container) {
-      const data = topLangs.map(([lang, count]) => ({
-        label: lang,
-        value: count,
-        percent: Math.round((count / totalReposWithLang) * 100)
+      const data = codeVolume.fileTypes.map(t => ({
+        label: t.type,
+        value: t.edits,
+        percent: Math.round(parseFloat(t.percentage)),
       }));
       this.chartsRenderer.renderLanguageBars(container, data);
     }
+    
+    setText('code-volume-note', `Based on ${codeVolume.commits.toLocaleString()} commits in your busiest repositories`);
+  }
+
+  /**
+   * Populate Pull Request Lifecycle slide
+   */
+  populatePullRequestSlide() {
+    const prStats = this.processedData.pullRequests;
+    
+    const setText = (id, text) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    };
+    
+    setText('pr-total', prStats.total.toLocaleString());
+    setText('pr-merge-rate', prStats.mergeRate === null ? '—' : `${prStats.mergeRate}%`);
+    setText('pr-median-merge', this.formatHours(prStats.medianHoursToMerge));
+    setText('pr-median-review', this.formatHours(prStats.medianHoursToFirstReview));
+    
+    this.chartsRenderer.renderMergeTimeChart(
+      document.getElementById('pr-merge-chart'),
+      prStats.mergeTimeDistribution
+    );
+    
+    // Biggest PR (needs GraphQL, so a token)
+    const { biggest } = prStats;
+    const biggestEl = document.getElementById('pr-biggest');
+    if (biggestEl) biggestEl.hidden = !biggest;
+    if (biggest) {
+      const titleEl = document.getElementById('pr-biggest-title');
+      if (titleEl) {
+        titleEl.textContent = biggest.title || 'Private pull request';
+        if (biggest.url) {
+          titleEl.href = biggest.url;
+        } else {
+          titleEl.removeAttribute('href');
+        }
+      }
+      setText('pr-biggest-meta',
+        `${biggest.repo} · +${biggest.additions.toLocaleString()} −${biggest.deletions.toLocaleString()}` +
+        ` · ${biggest.changedFiles} files`);
+    }
+    
+    // Most frequent reviewers
+    const reviewersEl = document.getElementById('pr-reviewers');
+    const listEl = document.getElementById('pr-reviewer-list');
+    if (reviewersEl) reviewersEl.hidden = prStats.topReviewers.length === 0;
+    if (listEl) {
+      listEl.innerHTML = '';
+      for (const reviewer of prStats.topReviewers) {
+        const item = document.createElement('li');
+        item.textContent = `@${reviewer.login} · ${reviewer.count}`;
+        listEl.appendChild(item);
+      }
+    }
+    
+    const noteEl = document.getElementById('pr-note');
+    if (noteEl) {
+      noteEl.hidden = prStats.hasReviewData;
+      noteEl.textContent = 'Add a token to include pull request sizes and reviews';
+    }
   }
 
   /**
-   * Populate Top 5 Repos slide (Slide 10)
+   * Populate Code Review slide
+   */
+  populateReviewSlide() {
+    const reviews = this.processedData.reviews;
+    
+    const setText = (id, text) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    };
+    
+    setText('reviews-total', reviews.total.toLocaleString());
+    setText('reviews-approval', reviews.approvalRatio === null
+      ? '—'
+      : `${reviews.approved}:${reviews.changesRequested}`);
+    setText('reviews-comments', reviews.comments.toLocaleString());
+    setText('reviews-turnaround', this.formatHours(reviews.medianHoursToReview));
+    
+    // Reviews per repository
+    const container = document.getElementById('reviews-repo-list');
+    if (container) {
+      const data = reviews.byRepo.map(repo => ({
+        label: repo.name,
+        value: repo.count,
+        percent: Math.round((repo.count / reviews.total) * 100),
+      }));
+      this.chartsRenderer.renderLanguageBars(container, data);
+    }
+    
+    // People reviewed most
+    const authorsEl = document.getElementById('reviews-authors');
+    const listEl = document.getElementById('reviews-author-list');
+    if (authorsEl) authorsEl.hidden = reviews.topAuthors.length === 0;
+    if (listEl) {
+      listEl.innerHTML = '';
+      for (const author of reviews.topAuthors) {
+        const item = document.createElement('li');
+        item.textContent = `@${author.name} · ${author.count}`;
+        listEl.appendChild(item);
+      }
+    }
+    
+    const noteEl = document.getElementById('reviews-note');
+    if (noteEl) {
+      noteEl.hidden = reviews.detailed;
+      noteEl.textContent = 'Add a token to include every review and how fast you responded';
+    }
+  }
+
+  /**
+   * Populate Issues & Discussions slide
+   */
+  populateIssueSlide() {
+    const issues = this.processedData.issues;
+    
+    const setText = (id, text) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    };
+    
+    setText('issues-opened', issues.opened.toLocaleString());
+    setText('issues-close-rate', issues.closeRate === null ? '—' : `${issues.closeRate}%`);
+    setText('issues-median-close', this.formatHours(issues.medianHoursToClose));
+    setText('issues-commented', issues.commentedOn.toLocaleString());
+    
+    // Label distribution
+    const container = document.getElementById('issues-label-list');
+    if (container) {
+      container.hidden = issues.labels.length === 0;
+      const data = issues.labels.map(label => ({
+        label: label.name,
+        value: label.count,
+        percent: Math.round(parseFloat(label.percentage)),
+      }));
+      this.chartsRenderer.renderLanguageBars(container, data);
+    }
+    
+    // Closing events only come from the REST activity feed
+    const highlights = [];
+    if (issues.closedByYou > 0) {
+      highlights.push(`${issues.closedByYou.toLocaleString()} issues closed by you`);
+    }
+    if (issues.closed !== null) {
+      highlights.push(`${issues.closed.toLocaleString()} of yours resolved`);
+    }
+    if (issues.answers !== null) {
+      highlights.push(`${issues.answers.toLocaleString()} accepted discussion answers`);
+    }
+    setText('issues-highlight', highlights.join(' · ') || '—');
+    
+    const noteEl = document.getElementById('issues-note');
+    if (noteEl) {
+      noteEl.hidden = issues.answers !== null;
+      noteEl.textContent = issues.detailed
+        ? 'Add a token to include accepted discussion answers'
+        : 'Issue history is based on recent activity only';
+    }
+  }
+
+  /**
+   * Format a duration in hours for stat cards
+   * @param {number|null} hours - Duration
+   * @returns {string} - e.g. 45m, 6h, 2.5d
+   */
+  formatHours(hours) {
+    if (hours === null || hours === undefined) return '—';
+    if (hours < 1) return `${Math.max(1, Math.round(hours * 60))}m`;
+    if (hours < 48) return `${Math.round(hours)}h`;
+    return `${(hours / 24).toFixed(1)}d`;
+  }
+
+  /**
+   * Populate Top 5 Repos slide
    * Shows repos where user actually contributed (commits, PRs, reviews)
    */
   populateTopReposSlide() {
     // Use topContributedRepos - repos where user has actual commits/PRs
-    const { topContributedRepos } = this.processedData;
-    const topRepos = topContributedRepos?.slice(0, 5) || [];
+    // Team stories prefer repos several members worked on
+    const { topContributedRepos, team } = this.processedData;
+    const sourceRepos = team?.sharedRepos.length ? team.sharedRepos : topContributedRepos;
+    const topRepos = sourceRepos?.slice(0, 5) || [];
     
     // Render repo cards - using actual HTML element ID
     const container = document.getElementById('repo-catalog');
@@ -763,7 +1958,40 @@ class GitStoryApp {
   }
 
   /**
-   * Populate Featured Repo slide (Slide 11)
+   * Populate the quiet-year slide, shown in place of charts with nothing to draw
+   */
+  populateQuietYearSlide() {
+    const { stats, privacy } = this.processedData;
+    const year = this.userData.year;
+    const provider = this.api?.name || 'GitHub';
+    
+    const summaryEl = document.getElementById('quiet-summary');
+    if (summaryEl) {
+      summaryEl.textContent = stats.totalContributions > 0
+        ? `${stats.totalContributions.toLocaleString()} contributions across ${stats.activeDays} active days, but not enough activity to chart when or where they happened.`
+        : `No public activity showed up on ${provider} in ${year}.`;
+    }
+    
+    // Name what was left out
+    const skippedEl = document.getElementById('quiet-skipped');
+    if (skippedEl) {
+      const titles = this.slideRegistry.skipped
+        .map(id => document.getElementById(`slide-${id}`)?.getAttribute('aria-label'))
+        .filter(Boolean);
+      skippedEl.hidden = titles.length === 0;
+      skippedEl.textContent = `Skipped for lack of data: ${titles.join(', ')}`;
+    }
+    
+    const hintEl = document.getElementById('quiet-hint');
+    if (hintEl) {
+      hintEl.textContent = privacy?.includesPrivate
+        ? 'Working somewhere else? Try another forge, or import a git log from your own machine.'
+        : 'Private work isn\'t counted without a token. Add one with repo access, try another forge, or import a git log.';
+    }
+  }
+
+  /**
+   * Populate Featured Repo slide
    * Shows the repo where user contributed the most
    */
   populateFeaturedRepoSlide() {
@@ -810,20 +2038,28 @@ class GitStoryApp {
   }
 
   /**
-   * Populate Grand Finale slide (Slide 12)
+   * Populate Grand Finale slide
    */
   populateGrandFinaleSlide() {
     const { user, repos } = this.userData;
-    const { stats } = this.processedData;
-    
-    // Persona detection
-    const persona = this.dataProcessor.detectPersona(this.userData, stats);
+    const { stats, persona } = this.processedData;
     
+    // Same persona as the poster, with why it was picked
     const personaEmojiEl = document.getElementById('finale-persona-emoji');
     const personaNameEl = document.getElementById('finale-persona-name');
+    const personaReasonEl = document.getElementById('finale-persona-reason');
+    const personaSecondaryEl = document.getElementById('finale-persona-secondary');
     
     if (personaEmojiEl) personaEmojiEl.textContent = persona.emoji || '🔧';
-    if (personaNameEl) personaNameEl.textContent = persona.title || 'The Developer';
+    if (personaNameEl) personaNameEl.textContent = persona.name || 'The Developer';
+    if (personaReasonEl) personaReasonEl.textContent = persona.reasons?.join(' · ') || '';
+    if (personaSecondaryEl) {
+      const secondary = persona.secondary || [];
+      personaSecondaryEl.hidden = secondary.length === 0;
+      personaSecondaryEl.textContent = secondary.length
+        ? `Also: ${secondary.map(p => `${p.emoji} ${p.name}`).join(', ')}`
+        : '';
+    }
     
     // Summary stats - using actual HTML element IDs
     const contribEl = document.getElementById('finale-contributions');
@@ -971,6 +2207,37 @@ class GitStoryApp {
       this.elements.loadingOverlay.hidden = true;
       this.elements.loadingOverlay.setAttribute('aria-hidden', 'true');
     }
+    this.updateRateLimitCountdown(null);
+  }
+
+  /**
+   * Show (or clear) a countdown while requests wait on the rate limit
+   * @param {Date|null} until - When requests resume, null to hide
+   * @param {string} reason - Why requests are paused
+   */
+  updateRateLimitCountdown(until, reason = 'rate limited') {
+    clearInterval(this.countdownInterval);
+    this.countdownInterval = null;
+    
+    const countdown = this.elements.loadingCountdown;
+    if (!countdown) return;
+    
+    if (!until) {
+      countdown.hidden = true;
+      countdown.textContent = '';
+      return;
+    }
+    
+    const tick = () => {
+      const seconds = Math.max(0, Math.ceil((until - Date.now()) / 1000));
+      const minutes = Math.floor(seconds / 60);
+      const clock = `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+      countdown.textContent = `${this.api.name} ${reason} — resuming in ${clock}`;
+    };
+    
+    tick();
+    countdown.hidden = false;
+    this.countdownInterval = setInterval(tick, 1000);
   }
 
   /**
@@ -1008,8 +2275,19 @@ class GitStoryApp {
    */
   disableForm() {
     if (this.elements.usernameInput) this.elements.usernameInput.disabled = true;
+    if (this.elements.providerSelect) this.elements.providerSelect.disabled = true;
+    if (this.elements.providerBaseUrl) this.elements.providerBaseUrl.disabled = true;
+    if (this.elements.yearSelect) this.elements.yearSelect.disabled = true;
+    if (this.elements.compareToggle) this.elements.compareToggle.disabled = true;
     if (this.elements.tokenInput) this.elements.tokenInput.disabled = true;
+    if (this.elements.privateMode) this.elements.privateMode.disabled = true;
+    if (this.elements.deepScanToggle) this.elements.deepScanToggle.disabled = true;
+    if (this.elements.timeZoneSelect) this.elements.timeZoneSelect.disabled = true;
     if (this.elements.playBtn) this.elements.playBtn.disabled = true;
+    if (this.elements.btnRefreshCache) this.elements.btnRefreshCache.disabled = true;
+    if (this.elements.btnClearCache) this.elements.btnClearCache.disabled = true;
+    if (this.elements.importFile) this.elements.importFile.disabled = true;
+    if (this.elements.btnGitLog) this.elements.btnGitLog.disabled = true;
   }
 
   /**
@@ -1017,8 +2295,19 @@ class GitStoryApp {
    */
   enableForm() {
     if (this.elements.usernameInput) this.elements.usernameInput.disabled = false;
+    if (this.elements.providerSelect) this.elements.providerSelect.disabled = false;
+    if (this.elements.providerBaseUrl) this.elements.providerBaseUrl.disabled = false;
+    if (this.elements.yearSelect) this.elements.yearSelect.disabled = false;
     if (this.elements.tokenInput) this.elements.tokenInput.disabled = false;
+    if (this.elements.privateMode) this.elements.privateMode.disabled = false;
+    if (this.elements.deepScanToggle) this.elements.deepScanToggle.disabled = false;
+    if (this.elements.timeZoneSelect) this.elements.timeZoneSelect.disabled = false;
     if (this.elements.playBtn) this.elements.playBtn.disabled = false;
+    if (this.elements.btnRefreshCache) this.elements.btnRefreshCache.disabled = false;
+    if (this.elements.btnClearCache) this.elements.btnClearCache.disabled = false;
+    if (this.elements.importFile) this.elements.importFile.disabled = false;
+    if (this.elements.btnGitLog) this.elements.btnGitLog.disabled = false;
+    this.updateCompareToggle();
   }
 
   /**
@@ -1034,13 +2323,19 @@ class GitStoryApp {
   }
 }
 
-// Initialize app when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
+// Initialize app when DOM is ready (snapshots load this module after it is)
+const startApp = () => {
   const app = new GitStoryApp();
   app.init();
   
   // Expose for debugging
   window.gitStoryApp = app;
-});
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', startApp);
+} else {
+  startApp();
+}
 
 export { GitStoryApp };
@@ -2,7 +2,8 @@
  * GitStory 2025 - Aurora Slides
  * 
  * Manages individual slide components and their
- * specific behaviors, animations, and content.
+ * specific behaviors, animations, and content. Slides without
+ * their own handler get the standard card entrance.
  */
 
 class AuroraSlides {
@@ -27,11 +28,14 @@ class AuroraSlides {
   }
 
   /**
-   * Get slide by ID
+   * Get slide by ID, falling back to a card entrance for #slide-<id>
    * @param {string} id - Slide identifier
    * @returns {BaseSlide}
    */
   getSlide(id) {
+    if (!this.slides.has(id)) {
+      this.slides.set(id, new CardSlide(`slide-${id}`));
+    }
     return this.slides.get(id);
   }
 
@@ -41,10 +45,7 @@ class AuroraSlides {
    * @param {Object} data - Slide data
    */
   onEnter(id, data) {
-    const slide = this.slides.get(id);
-    if (slide) {
-      slide.onEnter(data);
-    }
+    this.getSlide(id).onEnter(data);
   }
 
   /**
@@ -52,10 +53,7 @@ class AuroraSlides {
    * @param {string} id - Slide identifier
    */
   onExit(id) {
-    const slide = this.slides.get(id);
-    if (slide) {
-      slide.onExit();
-    }
+    this.getSlide(id).onExit();
   }
 }
 
@@ -90,9 +88,10 @@ class BaseSlide {
 
   /**
    * Called when slide becomes inactive
+   * Clears the card entrance so it plays again on the next visit.
    */
   onExit() {
-    // Override in subclass
+    this.getElement()?.querySelector('.glass-card')?.classList.remove('glass-card-enter');
   }
 
   /**
@@ -174,7 +173,21 @@ class BaseSlide {
 }
 
 /**
- * Welcome Slide (Slide 1)
+ * Standard slide: the glass card slides in
+ */
+class CardSlide extends BaseSlide {
+  onEnter(data) {
+    super.onEnter(data);
+    
+    const card = this.getElement()?.querySelector('.glass-card');
+    if (card) {
+      card.classList.add('glass-card-enter');
+    }
+  }
+}
+
+/**
+ * Welcome Slide
  */
 class WelcomeSlide extends BaseSlide {
   constructor() {
@@ -197,7 +210,7 @@ class WelcomeSlide extends BaseSlide {
 }
 
 /**
- * Title Card Slide (Slide 2)
+ * Title Card Slide
  */
 class TitleCardSlide extends BaseSlide {
   constructor() {
@@ -230,7 +243,7 @@ class TitleCardSlide extends BaseSlide {
 }
 
 /**
- * Velocity Slide (Slide 3)
+ * Velocity Slide
  */
 class VelocitySlide extends BaseSlide {
   constructor() {
@@ -243,9 +256,10 @@ class VelocitySlide extends BaseSlide {
     const element = this.getElement();
     if (!element) return;
     
-    // Animate statistics numbers
+    // Animate statistics numbers (whole numbers only; averages keep their decimals)
     const statNumbers = element.querySelectorAll('.stat-number');
     statNumbers.forEach(stat => {
+      if (!/^[\d,]+$/.test(stat.textContent.trim())) return;
       const target = parseInt(stat.textContent.replace(/,/g, '')) || 0;
       if (target > 0) {
         this.animateNumber(stat, target, 1500);
@@ -261,7 +275,7 @@ class VelocitySlide extends BaseSlide {
 }
 
 /**
- * Heatmap Slide (Slide 4)
+ * Heatmap Slide
  */
 class HeatmapSlide extends BaseSlide {
   constructor() {
@@ -285,4 +299,4 @@ class HeatmapSlide extends BaseSlide {
   }
 }
 
-export { AuroraSlides, BaseSlide };
+export { AuroraSlides, BaseSlide, CardSlide };
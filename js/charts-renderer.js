@@ -81,11 +81,13 @@ class ChartsRenderer {
     
     // Get weekly totals
     const weeks = this.data.heatmapData.weeks;
-    const weeklyTotals = weeks.map(week => 
-      week.reduce((sum, day) => sum + (day.isCurrentYear ? day.count : 0), 0)
-    );
+    const weeklyTotals = this.getWeeklyTotals(weeks);
+    
+    // Comparison year overlay (year-over-year mode)
+    const previousHeatmap = this.data.comparison?.previous?.heatmapData;
+    const previousTotals = previousHeatmap ? this.getWeeklyTotals(previousHeatmap.weeks) : null;
     
-    const maxValue = Math.max(...weeklyTotals, 1);
+    const maxValue = Math.max(...weeklyTotals, ...(previousTotals || []), 1);
     
     // Chart dimensions
     const chartWidth = width - padding.left - padding.right;
@@ -122,6 +124,32 @@ class ChartsRenderer {
       ctx.fillText(value.toString(), padding.left - 10, y + 4);
     }
     
+    // Draw the comparison year first so the story year sits on top
+    if (previousTotals?.length > 1) {
+      const stepX = chartWidth / (previousTotals.length - 1);
+      
+      ctx.beginPath();
+      previousTotals.forEach((value, index) => {
+        const x = padding.left + stepX * index;
+        const y = padding.top + chartHeight - (value / maxValue) * chartHeight;
+        
+        if (index === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          const prevX = padding.left + stepX * (index - 1);
+          const prevY = padding.top + chartHeight - (previousTotals[index - 1] / maxValue) * chartHeight;
+          const cpX = (prevX + x) / 2;
+          ctx.bezierCurveTo(cpX, prevY, cpX, y, x, y);
+        }
+      });
+      
+      ctx.setLineDash([6, 6]);
+      ctx.strokeStyle = this.colors.textMuted;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    
     // Draw the line chart
     if (weeklyTotals.length > 0) {
       const stepX = chartWidth / (weeklyTotals.length - 1);
@@ -233,17 +261,39 @@ class ChartsRenderer {
     ctx.font = 'bold 14px "Space Grotesk", sans-serif';
     ctx.textAlign = 'left';
     ctx.fillText('Weekly Contribution Velocity', padding.left, 20);
+    
+    // Legend for the comparison overlay
+    if (previousTotals) {
+      ctx.font = '11px "Fira Code", monospace';
+      ctx.textAlign = 'right';
+      ctx.fillStyle = this.colors.aurora3;
+      ctx.fillText(`━ ${this.data.year}`, width - padding.right - 70, 20);
+      ctx.fillStyle = this.colors.textMuted;
+      ctx.fillText(`┅ ${this.data.comparison.previousYear}`, width - padding.right, 20);
+    }
+  }
+
+  /**
+   * Sum contributions per heatmap week, ignoring days outside the year
+   * @param {Array} weeks - Heatmap weeks
+   * @returns {Array<number>}
+   */
+  getWeeklyTotals(weeks) {
+    return weeks.map(week => 
+      week.reduce((sum, day) => sum + (day.isCurrentYear ? day.count : 0), 0)
+    );
   }
 
   /**
    * Render contribution heatmap
    * @param {HTMLElement} gridContainer - Target grid container
    * @param {HTMLElement} monthsContainer - Month labels container
+   * @param {Object} heatmapData - Optional heatmap data (defaults to the story year)
    */
-  renderHeatmap(gridContainer, monthsContainer) {
-    if (!gridContainer || !this.data?.heatmapData) return;
+  renderHeatmap(gridContainer, monthsContainer, heatmapData = this.data?.heatmapData) {
+    if (!gridContainer || !heatmapData) return;
     
-    const { weeks, months, maxCount } = this.data.heatmapData;
+    const { weeks, months, maxCount } = heatmapData;
     
     // Clear containers
     gridContainer.innerHTML = '';
@@ -521,6 +571,271 @@ class ChartsRenderer {
     ctx.fillText('Activity by Hour', padding.left, 18);
   }
 
+  /**
+   * Render time-to-merge distribution as labelled bars
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {Array} buckets - [{ label, count }] from calculatePullRequestStats
+   */
+  renderMergeTimeChart(canvas, buckets) {
+    if (!canvas || !buckets?.length) return;
+    
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    
+    const rect = canvas.parentElement.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = 200 * dpr;
+    canvas.style.width = rect.width + 'px';
+    canvas.style.height = '200px';
+    ctx.scale(dpr, dpr);
+    
+    const width = rect.width;
+    const height = 200;
+    const padding = { top: 30, right: 25, bottom: 40, left: 25 };
+    
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const slotWidth = chartWidth / buckets.length;
+    const barWidth = Math.min(60, slotWidth * 0.6);
+    const maxValue = Math.max(...buckets.map(b => b.count), 1);
+    
+    // Dark background with subtle gradient
+    const bgGradient = ctx.createLinearGradient(0, 0, 0, height);
+    bgGradient.addColorStop(0, this.colors.dark);
+    bgGradient.addColorStop(1, this.colors.darkSecondary);
+    ctx.fillStyle = bgGradient;
+    ctx.fillRect(0, 0, width, height);
+    
+    // Baseline
+    ctx.strokeStyle = this.colors.gridLine;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(padding.left, padding.top + chartHeight);
+    ctx.lineTo(width - padding.right, padding.top + chartHeight);
+    ctx.stroke();
+    
+    buckets.forEach((bucket, index) => {
+      const barHeight = Math.max(2, (bucket.count / maxValue) * chartHeight);
+      const x = padding.left + slotWidth * index + (slotWidth - barWidth) / 2;
+      const y = padding.top + chartHeight - barHeight;
+      
+      const gradient = ctx.createLinearGradient(x, y + barHeight, x, y);
+      gradient.addColorStop(0, this.colors.aurora1 + 'cc');
+      gradient.addColorStop(0.5, this.colors.aurora2 + 'cc');
+      gradient.addColorStop(1, this.colors.aurora3 + 'cc');
+      ctx.fillStyle = gradient;
+      ctx.beginPath();
+      const radius = Math.min(4, barWidth / 2);
+      ctx.roundRect(x, y, barWidth, barHeight, [radius, radius, 0, 0]);
+      ctx.fill();
+      
+      // Count above, bucket below
+      ctx.textAlign = 'center';
+      ctx.fillStyle = this.colors.textPrimary;
+      ctx.font = 'bold 12px "Space Grotesk", sans-serif';
+      if (bucket.count > 0) {
+        ctx.fillText(bucket.count.toString(), x + barWidth / 2, y - 6);
+      }
+      ctx.fillStyle = this.colors.textSecondary;
+      ctx.font = '11px "Fira Code", monospace';
+      ctx.fillText(bucket.label, x + barWidth / 2, height - 14);
+    });
+    
+    // Title
+    ctx.fillStyle = this.colors.textPrimary;
+    ctx.font = 'bold 13px "Space Grotesk", sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText('Time to Merge', padding.left, 18);
+  }
+
+  /**
+   * Render the collaboration graph as a force-directed network
+   * Avatars are drawn as they load; initials stand in until then.
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {Object} graph - { nodes, edges } from buildCollaborationGraph
+   */
+  renderCollaborationGraph(canvas, graph) {
+    if (!canvas || !graph?.nodes?.length) return;
+    
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    
+    const rect = canvas.parentElement.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = 420 * dpr;
+    canvas.style.width = rect.width + 'px';
+    canvas.style.height = '420px';
+    ctx.scale(dpr, dpr);
+    
+    const width = rect.width;
+    const height = 420;
+    const positions = this.layoutGraph(graph, width, height);
+    const maxNodeWeight = Math.max(...graph.nodes.filter(n => !n.isUser).map(n => n.weight), 1);
+    const maxEdgeWeight = Math.max(...graph.edges.map(e => e.weight), 1);
+    const radiusOf = node => (node.isUser ? 30 : 14 + (node.weight / maxNodeWeight) * 10);
+    const images = new Map();
+    
+    const draw = () => {
+      const bgGradient = ctx.createLinearGradient(0, 0, 0, height);
+      bgGradient.addColorStop(0, this.colors.dark);
+      bgGradient.addColorStop(1, this.colors.darkSecondary);
+      ctx.fillStyle = bgGradient;
+      ctx.fillRect(0, 0, width, height);
+      
+      // Edges, thicker for more interactions
+      for (const edge of graph.edges) {
+        const a = positions.get(edge.source);
+        const b = positions.get(edge.target);
+        if (!a || !b) continue;
+        const strength = edge.weight / maxEdgeWeight;
+        ctx.strokeStyle = `rgba(102, 126, 234, ${0.2 + strength * 0.5})`;
+        ctx.lineWidth = 1 + strength * 5;
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+      }
+      
+      // Nodes
+      for (const node of graph.nodes) {
+        const { x, y } = positions.get(node.id);
+        const radius = radiusOf(node);
+        const image = images.get(node.id);
+        
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.closePath();
+        ctx.clip();
+        if (image) {
+          ctx.drawImage(image, x - radius, y - radius, radius * 2, radius * 2);
+        } else {
+          ctx.fillStyle = node.isUser ? this.colors.aurora2 : this.colors.surface;
+          ctx.fill();
+          ctx.fillStyle = this.colors.textPrimary;
+          ctx.font = `bold ${Math.round(radius * 0.9)}px "Space Grotesk", sans-serif`;
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'middle';
+          ctx.fillText(node.id.charAt(0).toUpperCase(), x, y);
+          ctx.textBaseline = 'alphabetic';
+        }
+        ctx.restore();
+        
+        ctx.strokeStyle = node.isUser ? this.colors.aurora3 : this.colors.aurora1;
+        ctx.lineWidth = node.isUser ? 3 : 2;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.stroke();
+        
+        ctx.fillStyle = node.isUser ? this.colors.textPrimary : this.colors.textSecondary;
+        ctx.font = '11px "Fira Code", monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(`@${node.id}`, x, y + radius + 14);
+      }
+    };
+    
+    draw();
+    
+    for (const node of graph.nodes) {
+      if (!node.avatar_url) continue;
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.onload = () => {
+        images.set(node.id, image);
+        draw();
+      };
+      image.src = node.avatar_url;
+    }
+  }
+
+  /**
+   * Lay out a graph with a small force simulation
+   * Nodes repel each other, edges pull like springs (stronger for
+   * heavier edges) and the user stays pinned in the middle.
+   * @param {Object} graph - { nodes, edges }
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @returns {Map} - node id -> { x, y }
+   */
+  layoutGraph(graph, width, height) {
+    const cx = width / 2;
+    const cy = height / 2;
+    const margin = 40;
+    const positions = new Map();
+    
+    // Start on a circle so the layout is the same on every render
+    const others = graph.nodes.filter(n => !n.isUser);
+    graph.nodes.forEach(node => {
+      if (node.isUser) {
+        positions.set(node.id, { x: cx, y: cy, vx: 0, vy: 0 });
+        return;
+      }
+      const angle = (others.indexOf(node) / others.length) * Math.PI * 2;
+      positions.set(node.id, {
+        x: cx + Math.cos(angle) * width * 0.3,
+        y: cy + Math.sin(angle) * height * 0.3,
+        vx: 0,
+        vy: 0,
+      });
+    });
+    
+    const maxEdgeWeight = Math.max(...graph.edges.map(e => e.weight), 1);
+    const idealLength = Math.min(width, height) * 0.35;
+    
+    for (let step = 0; step < 300; step++) {
+      const nodes = [...positions.values()];
+      
+      // Repulsion
+      for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+          const a = nodes[i];
+          const b = nodes[j];
+          const dx = a.x - b.x || 0.01;
+          const dy = a.y - b.y || 0.01;
+          const distanceSq = Math.max(dx * dx + dy * dy, 100);
+          const force = 4000 / distanceSq;
+          const distance = Math.sqrt(distanceSq);
+          a.vx += (dx / distance) * force;
+          a.vy += (dy / distance) * force;
+          b.vx -= (dx / distance) * force;
+          b.vy -= (dy / distance) * force;
+        }
+      }
+      
+      // Springs: heavier edges want to be shorter
+      for (const edge of graph.edges) {
+        const a = positions.get(edge.source);
+        const b = positions.get(edge.target);
+        if (!a || !b) continue;
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        const target = idealLength * (1 - 0.5 * (edge.weight / maxEdgeWeight));
+        const force = (distance - target) * 0.01;
+        a.vx += (dx / distance) * force;
+        a.vy += (dy / distance) * force;
+        b.vx -= (dx / distance) * force;
+        b.vy -= (dy / distance) * force;
+      }
+      
+      // Integrate with damping; the user stays centred
+      for (const node of graph.nodes) {
+        const p = positions.get(node.id);
+        if (node.isUser) {
+          p.vx = 0;
+          p.vy = 0;
+          continue;
+        }
+        p.vx *= 0.85;
+        p.vy *= 0.85;
+        p.x = Math.min(width - margin, Math.max(margin, p.x + p.vx));
+        p.y = Math.min(height - margin, Math.max(margin, p.y + p.vy));
+      }
+    }
+    
+    return positions;
+  }
+
   /**
    * Render composition donut chart
    * @param {HTMLCanvasElement} canvas - Target canvas
@@ -949,6 +1264,33 @@ class ChartsRenderer {
     ctx.fillText('TOTAL', centerX, centerY + 12);
   }
 
+  /**
+   * Render team leaderboard rows
+   * @param {HTMLElement} container - Target container
+   * @param {Array} members - Leaderboard entries from buildTeamSummary
+   */
+  renderLeaderboard(container, members) {
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    members.slice(0, 5).forEach((member, index) => {
+      const row = document.createElement('li');
+      row.className = 'leaderboard-row animate__animated animate__fadeInUp animate__faster';
+      row.style.animationDelay = `${index * 0.1}s`;
+      
+      row.innerHTML = `
+        <span class="leaderboard-rank font-display">#${index + 1}</span>
+        <img class="leaderboard-avatar" src="${member.avatar_url}" alt="" loading="lazy">
+        <span class="leaderboard-name font-mono">@${member.login}</span>
+        <span class="leaderboard-persona" title="${member.persona?.name || ''}">${member.persona?.emoji || ''}</span>
+        <span class="leaderboard-value font-display">${member.totalContributions.toLocaleString()}</span>
+      `;
+      
+      container.appendChild(row);
+    });
+  }
+
   /**
    * Render a single repository card element
    * Shows repos where user actually contributed
@@ -977,6 +1319,11 @@ class ChartsRenderer {
       activityBadges.push(`<span class="activity-badge reviews" title="Your reviews"><span class="badge-icon">👀</span> ${activity.reviews} reviews</span>`);
     }
     
+    // Team stories: how many members worked on this repo
+    if (repo.members?.length > 1) {
+      activityBadges.push(`<span class="activity-badge members" title="${repo.members.join(', ')}"><span class="badge-icon">👥</span> ${repo.members.length} members</span>`);
+    }
+    
     const activityHtml = activityBadges.length > 0 
       ? `<div class="repo-activity">${activityBadges.join('')}</div>` 
       : '';
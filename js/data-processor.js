@@ -5,9 +5,41 @@
  * repository scoring, and activity pattern analysis.
  */
 
+import { isValidTimeZone, inferTimeZone, getZonedParts, getDateWeekday } from './time-zone.js';
+import { PersonaEngine } from './persona-engine.js';
+
 class DataProcessor {
   constructor() {
+    // Default story year; processAll prefers rawData.year when present
     this.year = new Date().getFullYear();
+    
+    // Time zone chosen in the form; null infers it from each story's data
+    this.timeZone = null;
+    
+    this.personaEngine = new PersonaEngine();
+  }
+
+  /**
+   * Override the developer's time zone
+   * @param {string|null} timeZone - IANA name or UTC offset; empty for auto-detect
+   */
+  setTimeZone(timeZone) {
+    this.timeZone = isValidTimeZone(timeZone) ? timeZone : null;
+  }
+
+  /**
+   * Pick the zone hours, weekdays and "today" are computed in
+   * @param {Object} rawData - fetchAllData result
+   * @returns {Object} - { id, source } where source is 'setting', 'commits', 'location' or 'browser'
+   */
+  resolveTimeZone(rawData) {
+    if (this.timeZone) {
+      return { id: this.timeZone, source: 'setting' };
+    }
+    if (isValidTimeZone(rawData?.timeZone?.id)) {
+      return rawData.timeZone;
+    }
+    return inferTimeZone(rawData);
   }
 
   /**
@@ -17,6 +49,8 @@ class DataProcessor {
    */
   processAll(rawData) {
     const { user, repos, events, contributions, languages } = rawData;
+    const year = rawData.year || this.year;
+    const timeZone = this.resolveTimeZone(rawData);
     
     // Calculate user activity per repo from events
     const repoActivity = this.calculateRepoActivity(events);
@@ -24,16 +58,26 @@ class DataProcessor {
     // Get repos where user actually contributed (commits, PRs)
     const topContributedRepos = this.getTopContributedRepos(events, repos);
     
+    const stats = this.calculateStats(contributions, repos, user, year, timeZone.id);
+    stats.codeVolume = this.calculateCodeVolume(rawData.commitDetails);
+    
     return {
-      stats: this.calculateStats(contributions, repos, user),
-      heatmapData: this.processHeatmap(contributions),
+      year,
+      timeZone,
+      stats,
+      heatmapData: this.processHeatmap(contributions, year),
       activityBreakdown: this.calculateActivityBreakdown(events),
-      hourlyActivity: this.calculateHourlyActivity(events),
+      pullRequests: this.calculatePullRequestStats(rawData.pullRequests),
+      reviews: this.calculateReviewStats(events, rawData.reviews),
+      issues: this.calculateIssueStats(events, rawData.issues),
+      collaboration: this.buildCollaborationGraph(rawData),
+      hourlyActivity: this.calculateHourlyActivity(events, timeZone.id),
       scoredRepos: this.scoreRepositories(repos, repoActivity),
       topContributedRepos, // NEW: Repos where user actually contributed
       repoActivity,
       languages,
-      persona: this.determinePersona(contributions, repos, user, events),
+      persona: this.determinePersona(contributions, repos, user, events, year, languages, timeZone.id),
+      privacy: rawData.privacy || null,
     };
   }
 
@@ -46,7 +90,7 @@ class DataProcessor {
     const activity = {};
     
     for (const event of events || []) {
-      const repoName = event.repo?.name?.split('/')[1] || event.repo?.name;
+      const repoName = event.repo?.name?.split('/').pop() || event.repo?.name;
       if (!repoName) continue;
       
       if (!activity[repoName]) {
@@ -106,7 +150,7 @@ class DataProcessor {
     // Analyze events to find repos with actual contributions
     for (const event of events || []) {
       const fullRepoName = event.repo?.name; // e.g., "owner/repo"
-      const repoName = fullRepoName?.split('/')[1] || fullRepoName;
+      const repoName = fullRepoName?.split('/').pop() || fullRepoName;
       if (!repoName || !fullRepoName) continue;
       
       if (!repoContributions[fullRepoName]) {
@@ -210,19 +254,19 @@ class DataProcessor {
    * @param {Object} contributions - Contribution data
    * @param {Array} repos - Repository list
    * @param {Object} user - User profile
+   * @param {number} year - Story year
+   * @param {string} timeZone - Developer's zone, which decides what "today" is
    * @returns {Object} - Statistics
    */
-  calculateStats(contributions, repos, user) {
+  calculateStats(contributions, repos, user, year = this.year, timeZone = this.timeZone || undefined) {
     const contribArray = contributions?.contributions || [];
-    const yearContribs = contribArray.filter(c => 
-      new Date(c.date).getFullYear() === this.year
-    );
+    const yearContribs = contribArray.filter(c => c.date.startsWith(`${year}-`));
     
     // Total contributions
     const totalContributions = yearContribs.reduce((sum, c) => sum + c.count, 0);
     
     // Daily average
-    const daysInYear = this.getDaysElapsedInYear();
+    const daysInYear = this.getDaysElapsedInYear(year, timeZone);
     const dailyAverage = daysInYear > 0 ? totalContributions / daysInYear : 0;
     
     // Best day
@@ -235,7 +279,7 @@ class DataProcessor {
     const longestStreak = this.calculateLongestStreak(yearContribs);
     
     // Current streak
-    const currentStreak = this.calculateCurrentStreak(yearContribs);
+    const currentStreak = this.calculateCurrentStreak(yearContribs, year, timeZone);
     
     // Active days
     const activeDays = yearContribs.filter(c => c.count > 0).length;
@@ -257,12 +301,21 @@ class DataProcessor {
   }
 
   /**
-   * Get days elapsed in current year
+   * Get days elapsed in the story year (full length for past years)
+   * @param {number} year - Story year
+   * @param {string} timeZone - Developer's zone
    * @returns {number}
    */
-  getDaysElapsedInYear() {
-    const now = new Date();
-    const startOfYear = new Date(this.year, 0, 1);
+  getDaysElapsedInYear(year = this.year, timeZone = this.timeZone || undefined) {
+    const today = getZonedParts(Date.now(), timeZone).date;
+    const startOfYear = Date.UTC(year, 0, 1);
+    const endOfYear = Date.UTC(year + 1, 0, 1);
+    const now = Date.parse(`${today}T00:00:00Z`);
+    
+    if (now >= endOfYear) {
+      return Math.round((endOfYear - startOfYear) / (1000 * 60 * 60 * 24));
+    }
+    
     const diffTime = now - startOfYear;
     return Math.floor(diffTime / (1000 * 60 * 60 * 24)) + 1;
   }
@@ -295,11 +348,16 @@ class DataProcessor {
 
   /**
    * Calculate current contribution streak
+   * For past years this is the streak running into December 31st.
    * @param {Array} contributions - Daily contribution data
+   * @param {number} year - Story year
+   * @param {string} timeZone - Developer's zone, which decides what "today" is
    * @returns {number} - Current streak in days
    */
-  calculateCurrentStreak(contributions) {
-    const today = new Date().toISOString().split('T')[0];
+  calculateCurrentStreak(contributions, year = this.year, timeZone = this.timeZone || undefined) {
+    const yearEnd = `${year}-12-31`;
+    const now = getZonedParts(Date.now(), timeZone).date;
+    const today = now < yearEnd ? now : yearEnd;
     const sorted = [...contributions]
       .filter(c => c.date <= today)
       .sort((a, b) => new Date(b.date) - new Date(a.date));
@@ -319,13 +377,12 @@ class DataProcessor {
   /**
    * Process heatmap data
    * @param {Object} contributions - Contribution data
+   * @param {number} year - Story year
    * @returns {Object} - Heatmap ready data
    */
-  processHeatmap(contributions) {
+  processHeatmap(contributions, year = this.year) {
     const contribArray = contributions?.contributions || [];
-    const yearContribs = contribArray.filter(c => 
-      new Date(c.date).getFullYear() === this.year
-    );
+    const yearContribs = contribArray.filter(c => c.date.startsWith(`${year}-`));
     
     // Create a map for quick lookup
     const contribMap = new Map();
@@ -334,17 +391,19 @@ class DataProcessor {
     }
     
     // Generate all weeks of the year
+    // Calendar dates have no time of day, so walk them in UTC to keep
+    // the viewer's zone from shifting cells across midnight
     const weeks = [];
-    const startDate = new Date(this.year, 0, 1);
+    const startDate = new Date(Date.UTC(year, 0, 1));
     
     // Adjust to start from Sunday
-    const startDay = startDate.getDay();
-    startDate.setDate(startDate.getDate() - startDay);
+    const startDay = startDate.getUTCDay();
+    startDate.setUTCDate(startDate.getUTCDate() - startDay);
     
     let currentDate = new Date(startDate);
     let weekData = [];
     
-    while (currentDate.getFullYear() <= this.year) {
+    while (currentDate.getUTCFullYear() <= year) {
       const dateStr = currentDate.toISOString().split('T')[0];
       const count = contribMap.get(dateStr) || 0;
       
@@ -352,8 +411,8 @@ class DataProcessor {
         date: dateStr,
         count,
         level: this.getContributionLevel(count),
-        dayOfWeek: currentDate.getDay(),
-        isCurrentYear: currentDate.getFullYear() === this.year,
+        dayOfWeek: currentDate.getUTCDay(),
+        isCurrentYear: currentDate.getUTCFullYear() === year,
       });
       
       if (weekData.length === 7) {
@@ -361,7 +420,7 @@ class DataProcessor {
         weekData = [];
       }
       
-      currentDate.setDate(currentDate.getDate() + 1);
+      currentDate.setUTCDate(currentDate.getUTCDate() + 1);
     }
     
     // Add remaining days
@@ -406,7 +465,7 @@ class DataProcessor {
     weeks.forEach((week, index) => {
       const firstDay = week.find(d => d.isCurrentYear);
       if (firstDay) {
-        const month = new Date(firstDay.date).getMonth();
+        const month = parseInt(firstDay.date.slice(5, 7)) - 1;
         if (month !== lastMonth) {
           months.push({
             name: monthNames[month],
@@ -420,6 +479,366 @@ class DataProcessor {
     return months;
   }
 
+  /**
+   * Summarize deep-scanned commits: lines changed, files and file types
+   * @param {Array|null} commitDetails - Per-commit stats, null when not scanned
+   * @returns {Object|null} - Code volume, or null without a deep scan
+   */
+  calculateCodeVolume(commitDetails) {
+    if (!Array.isArray(commitDetails)) return null;
+    
+    let additions = 0;
+    let deletions = 0;
+    let largest = null;
+    const files = new Set();
+    const fileTypes = {};
+    
+    for (const commit of commitDetails) {
+      additions += commit.additions;
+      deletions += commit.deletions;
+      
+      const size = commit.additions + commit.deletions;
+      if (!largest || size > largest.size) {
+        largest = { ...commit, size };
+      }
+      
+      for (const file of commit.files || []) {
+        files.add(`${commit.repo}/${file.filename}`);
+        
+        // Extension, or the whole name for Makefile, Dockerfile and friends
+        const base = file.filename.split('/').pop();
+        const type = base.lastIndexOf('.') > 0 ? `.${base.split('.').pop().toLowerCase()}` : base;
+        const entry = fileTypes[type] || (fileTypes[type] = { type, changes: 0, edits: 0 });
+        entry.changes += file.additions + file.deletions;
+        entry.edits++;
+      }
+    }
+    
+    const totalChanges = additions + deletions;
+    const topFileTypes = Object.values(fileTypes)
+      .sort((a, b) => b.edits - a.edits || b.changes - a.changes)
+      .slice(0, 6);
+    const totalEdits = Object.values(fileTypes).reduce((sum, t) => sum + t.edits, 0);
+    
+    return {
+      commits: commitDetails.length,
+      additions,
+      deletions,
+      netLines: additions - deletions,
+      filesTouched: files.size,
+      averageCommitSize: commitDetails.length > 0 ? Math.round(totalChanges / commitDetails.length) : 0,
+      largestCommit: largest && {
+        repo: largest.repo.split('/').pop(),
+        message: largest.message,
+        html_url: largest.html_url,
+        additions: largest.additions,
+        deletions: largest.deletions,
+        size: largest.size,
+      },
+      fileTypes: topFileTypes.map(t => ({
+        ...t,
+        percentage: totalEdits > 0 ? ((t.edits / totalEdits) * 100).toFixed(1) : 0,
+      })),
+    };
+  }
+
+  /**
+   * Pull request lifecycle: time to merge, merge rate, review turnaround,
+   * biggest PR and most frequent reviewers
+   * @param {Array|null} pullRequests - Authored PRs from fetchAllData
+   * @returns {Object|null} - Lifecycle stats, or null when PRs weren't fetched
+   */
+  calculatePullRequestStats(pullRequests) {
+    if (!Array.isArray(pullRequests)) return null;
+    
+    const hoursBetween = (from, to) => (new Date(to) - new Date(from)) / 3600000;
+    const merged = pullRequests.filter(pr => pr.mergedAt);
+    const closed = pullRequests.filter(pr => !pr.mergedAt && pr.closedAt);
+    // Missing or malformed timestamps give NaN; leave those PRs out of the timings
+    const mergeHours = merged
+      .map(pr => hoursBetween(pr.createdAt, pr.mergedAt))
+      .filter(Number.isFinite);
+    
+    // Open-to-merge distribution
+    const buckets = [
+      { label: '<1h', max: 1 },
+      { label: '<1d', max: 24 },
+      { label: '1-3d', max: 72 },
+      { label: '3-7d', max: 168 },
+      { label: '1-4w', max: 672 },
+      { label: '4w+', max: Infinity },
+    ].map(bucket => ({ ...bucket, count: 0 }));
+    for (const hours of mergeHours) {
+      buckets.find(bucket => hours < bucket.max).count++;
+    }
+    
+    // First review by someone other than the author
+    const reviewHours = [];
+    const reviewers = {};
+    for (const pr of pullRequests) {
+      const reviews = (pr.reviews || []).filter(r => r.author && r.author !== pr.author && r.submittedAt);
+      if (reviews.length === 0) continue;
+      
+      const first = reviews.reduce((min, r) => (r.submittedAt < min ? r.submittedAt : min), reviews[0].submittedAt);
+      const hours = hoursBetween(pr.createdAt, first);
+      if (Number.isFinite(hours)) reviewHours.push(hours);
+      
+      // Count each reviewer once per PR
+      for (const login of new Set(reviews.map(r => r.author))) {
+        reviewers[login] = (reviewers[login] || 0) + 1;
+      }
+    }
+    
+    const sized = pullRequests.filter(pr => pr.additions !== null && pr.additions !== undefined);
+    const biggest = sized.reduce((max, pr) =>
+      !max || pr.additions + pr.deletions > max.additions + max.deletions ? pr : max, null);
+    
+    return {
+      total: pullRequests.length,
+      merged: merged.length,
+      closed: closed.length,
+      open: pullRequests.length - merged.length - closed.length,
+      mergeRate: merged.length + closed.length > 0
+        ? Math.round((merged.length / (merged.length + closed.length)) * 100)
+        : null,
+      medianHoursToMerge: this.median(mergeHours),
+      medianHoursToFirstReview: this.median(reviewHours),
+      mergeTimeDistribution: buckets.map(({ label, count }) => ({ label, count })),
+      biggest: biggest && {
+        repo: biggest.repo.split('/').pop(),
+        title: biggest.title,
+        url: biggest.url,
+        additions: biggest.additions,
+        deletions: biggest.deletions,
+        changedFiles: biggest.changedFiles,
+      },
+      topReviewers: Object.entries(reviewers)
+        .map(([login, count]) => ({ login, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 5),
+      hasReviewData: pullRequests.some(pr => Array.isArray(pr.reviews)),
+    };
+  }
+
+  /**
+   * Reviews the user gave: per repo, verdicts, comments, whose PRs and
+   * how quickly review requests were answered
+   * Uses the detailed GraphQL reviews when fetched, review events otherwise.
+   * @param {Array} events - GitHub events
+   * @param {Array|null} reviews - Reviews given, from fetchAllData
+   * @returns {Object} - Review stats
+   */
+  calculateReviewStats(events = [], reviews = null) {
+    const detailed = Array.isArray(reviews);
+    let records = reviews;
+    let comments = 0;
+    
+    if (detailed) {
+      comments = reviews.reduce((sum, r) => sum + (r.comments || 0), 0);
+    } else {
+      // Fall back to the same events calculateActivityBreakdown counts
+      records = [];
+      for (const event of events) {
+        if (event.type === 'PullRequestReviewEvent') {
+          records.push({
+            repo: event.repo?.name,
+            pullRequest: { author: event.payload?.pull_request?.user?.login || null },
+            state: event.payload?.review?.state || null,
+            submittedAt: event.created_at,
+            requestedAt: null,
+          });
+        } else if (event.type === 'PullRequestReviewCommentEvent') {
+          comments++;
+        }
+      }
+    }
+    
+    const countBy = (key) => {
+      const counts = {};
+      for (const record of records) {
+        const value = key(record);
+        if (value) counts[value] = (counts[value] || 0) + 1;
+      }
+      return Object.entries(counts)
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 5);
+    };
+    
+    const approved = records.filter(r => r.state === 'approved').length;
+    const changesRequested = records.filter(r => r.state === 'changes_requested').length;
+    const turnaround = records
+      .filter(r => r.requestedAt)
+      .map(r => (new Date(r.submittedAt) - new Date(r.requestedAt)) / 3600000)
+      .filter(Number.isFinite);
+    
+    return {
+      total: records.length,
+      approved,
+      changesRequested,
+      commented: records.filter(r => r.state === 'commented').length,
+      approvalRatio: approved + changesRequested > 0
+        ? Math.round((approved / (approved + changesRequested)) * 100)
+        : null,
+      comments,
+      byRepo: countBy(r => r.repo?.split('/').pop()),
+      topAuthors: countBy(r => r.pullRequest?.author),
+      medianHoursToReview: this.median(turnaround),
+      detailed,
+    };
+  }
+
+  /**
+   * Issue triage and discussions: close rate, time to close, labels and
+   * accepted answers
+   * Uses the searched issues when fetched, issue events otherwise.
+   * @param {Array} events - GitHub events
+   * @param {Object|null} issues - { authored, commentedOn, answers, closedByYou } from fetchAllData
+   * @returns {Object} - Issue stats
+   */
+  calculateIssueStats(events = [], issues = null) {
+    const issueEvents = events.filter(e => e.type === 'IssuesEvent');
+    const closedByYou = issueEvents.filter(e => e.payload?.action === 'closed').length;
+    
+    if (!issues) {
+      return {
+        opened: issueEvents.filter(e => e.payload?.action === 'opened').length,
+        closed: null,
+        closedByYou,
+        commentedOn: events.filter(e => e.type === 'IssueCommentEvent').length,
+        closeRate: null,
+        medianHoursToClose: null,
+        labels: [],
+        answers: null,
+        detailed: false,
+      };
+    }
+    
+    const closed = issues.authored.filter(issue => issue.closedAt);
+    const closeHours = closed
+      .map(issue => (new Date(issue.closedAt) - new Date(issue.createdAt)) / 3600000)
+      .filter(Number.isFinite);
+    
+    // Label distribution across opened issues
+    const labelCounts = {};
+    let labelTotal = 0;
+    for (const issue of issues.authored) {
+      for (const label of issue.labels || []) {
+        labelCounts[label] = (labelCounts[label] || 0) + 1;
+        labelTotal++;
+      }
+    }
+    const labels = Object.entries(labelCounts)
+      .map(([name, count]) => ({
+        name,
+        count,
+        percentage: labelTotal > 0 ? ((count / labelTotal) * 100).toFixed(1) : 0,
+      }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 6);
+    
+    return {
+      opened: issues.authored.length,
+      closed: closed.length,
+      // Token searches count closes directly; events are the fallback
+      closedByYou: issues.closedByYou ?? closedByYou,
+      commentedOn: issues.commentedOn,
+      closeRate: issues.authored.length > 0
+        ? Math.round((closed.length / issues.authored.length) * 100)
+        : null,
+      medianHoursToClose: this.median(closeHours),
+      labels,
+      answers: issues.answers ? issues.answers.length : null,
+      detailed: true,
+    };
+  }
+
+  /**
+   * Weighted collaboration graph around the user
+   * Interactions are shared busy repos, reviews of the user's PRs and
+   * reviews the user gave. Collaborators on the same repo are linked too.
+   * @param {Object} rawData - fetchAllData results
+   * @param {number} maxNodes - Collaborators to keep, by weight
+   * @returns {Object} - { nodes: [{ id, avatar_url, weight, isUser }], edges: [{ source, target, weight }] }
+   */
+  buildCollaborationGraph(rawData, maxNodes = 20) {
+    const { user, collaborators, pullRequests, reviews, events = [] } = rawData;
+    const self = user.login.toLowerCase();
+    const people = new Map();
+    
+    const person = (login, avatarUrl = null) => {
+      if (!login || login.toLowerCase() === self || login.endsWith('[bot]')) return null;
+      if (!people.has(login)) {
+        people.set(login, { id: login, avatar_url: avatarUrl, repos: new Set(), reviewedYou: 0, reviewedByYou: 0 });
+      }
+      const entry = people.get(login);
+      entry.avatar_url = entry.avatar_url || avatarUrl;
+      return entry;
+    };
+    
+    for (const collaborator of collaborators || []) {
+      person(collaborator.login, collaborator.avatar_url)?.repos.add(collaborator.repo);
+    }
+    
+    for (const pr of pullRequests || []) {
+      const reviewers = new Set((pr.reviews || []).map(r => r.author).filter(login => login !== pr.author));
+      for (const login of reviewers) {
+        const entry = person(login);
+        if (entry) entry.reviewedYou++;
+      }
+    }
+    
+    // People whose PRs the user reviewed
+    const reviewedAuthors = Array.isArray(reviews)
+      ? reviews.map(r => r.pullRequest?.author)
+      : events.filter(e => e.type === 'PullRequestReviewEvent').map(e => e.payload?.pull_request?.user?.login);
+    for (const login of reviewedAuthors) {
+      const entry = person(login);
+      if (entry) entry.reviewedByYou++;
+    }
+    
+    // Reviewers and review authors have no avatar in the source data
+    const avatarBase = user.html_url ? new URL(user.html_url).origin : 'https://github.com';
+    const top = [...people.values()]
+      .map(p => ({ ...p, weight: p.repos.size + p.reviewedYou + p.reviewedByYou }))
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, maxNodes);
+    
+    const nodes = [
+      { id: user.login, avatar_url: user.avatar_url, weight: top.reduce((sum, p) => sum + p.weight, 0), isUser: true },
+      ...top.map(p => ({
+        id: p.id,
+        avatar_url: p.avatar_url || `${avatarBase}/${encodeURIComponent(p.id)}.png?size=80`,
+        weight: p.weight,
+        isUser: false,
+      })),
+    ];
+    
+    const edges = top.map(p => ({ source: user.login, target: p.id, weight: p.weight }));
+    for (let i = 0; i < top.length; i++) {
+      for (let j = i + 1; j < top.length; j++) {
+        const shared = [...top[i].repos].filter(repo => top[j].repos.has(repo)).length;
+        if (shared > 0) {
+          edges.push({ source: top[i].id, target: top[j].id, weight: shared });
+        }
+      }
+    }
+    
+    return { nodes, edges };
+  }
+
+  /**
+   * Median of a list of numbers
+   * @param {Array<number>} values
+   * @returns {number|null} - null for an empty list
+   */
+  median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
   /**
    * Calculate activity breakdown by type
    * @param {Array} events - GitHub events
@@ -472,16 +891,24 @@ class DataProcessor {
   /**
    * Calculate hourly activity distribution
    * @param {Array} events - GitHub events
+   * @param {string} timeZone - Developer's zone; the browser's when omitted
    * @returns {Object} - Hourly activity data
    */
-  calculateHourlyActivity(events) {
+  calculateHourlyActivity(events, timeZone = this.timeZone || undefined) {
     const hours = Array(24).fill(0);
     const days = Array(7).fill(0);
     
     for (const event of events) {
-      const date = new Date(event.created_at);
-      hours[date.getHours()]++;
-      days[date.getDay()]++;
+      // Day-level records (GraphQL commit contributions) have no real time,
+      // so their date is already the calendar day and must not be shifted
+      if (event.timePrecision === 'day') {
+        days[getDateWeekday(event.created_at)]++;
+        continue;
+      }
+      
+      const { weekday, hour } = getZonedParts(event.created_at, timeZone);
+      days[weekday]++;
+      hours[hour]++;
     }
     
     // Find peak hour
@@ -600,95 +1027,402 @@ class DataProcessor {
   }
 
   /**
-   * Determine user's coding persona
+   * Gather the numbers personas are judged on
    * @param {Object} contributions - Contribution data
    * @param {Array} repos - Repository list
    * @param {Object} user - User profile
    * @param {Array} events - GitHub events
-   * @returns {Object} - Persona information
+   * @param {number} year - Story year
+   * @param {Object|null} languages - Language breakdown
+   * @param {string} timeZone - Developer's zone
+   * @returns {Object} - Metrics documented in PERSONA_METRICS
    */
-  determinePersona(contributions, repos, user, events) {
-    const hourlyData = this.calculateHourlyActivity(events);
+  buildPersonaMetrics(contributions, repos, user, events, year = this.year, languages = null, timeZone = this.timeZone || undefined) {
+    const hourlyData = this.calculateHourlyActivity(events, timeZone);
     const contribArray = contributions?.contributions || [];
-    const yearContribs = contribArray.filter(c => 
-      new Date(c.date).getFullYear() === this.year
-    );
+    const yearContribs = contribArray.filter(c => c.date.startsWith(`${year}-`));
     
     const totalContribs = yearContribs.reduce((sum, c) => sum + c.count, 0);
-    const totalStars = repos.reduce((sum, r) => sum + r.stargazers_count, 0);
     
     // Calculate weekend vs weekday ratio
     const weekdayContribs = yearContribs.filter(c => {
-      const day = new Date(c.date).getDay();
+      const day = getDateWeekday(c.date);
       return day > 0 && day < 6;
     }).reduce((sum, c) => sum + c.count, 0);
     
     const weekendContribs = totalContribs - weekdayContribs;
-    const weekendRatio = totalContribs > 0 ? weekendContribs / totalContribs : 0;
-    
-    // Determine persona based on patterns
-    const personas = [
-      {
-        id: 'night-owl',
-        name: 'Night Owl',
-        emoji: '🌙',
-        description: 'You do your best work when the world sleeps.',
-        condition: () => hourlyData.peakHour >= 22 || hourlyData.peakHour < 4,
-      },
-      {
-        id: 'early-bird',
-        name: 'Early Bird',
-        emoji: '🌅',
-        description: 'First light, first commit. You start before others wake.',
-        condition: () => hourlyData.peakHour >= 5 && hourlyData.peakHour < 9,
-      },
-      {
-        id: 'weekend-warrior',
-        name: 'Weekend Warrior',
-        emoji: '🗓️',
-        description: 'Your weekends are for passion projects and side quests.',
-        condition: () => weekendRatio > 0.35,
-      },
-      {
-        id: 'grid-painter',
-        name: 'Grid Painter',
-        emoji: '🎨',
-        description: 'Your contribution graph is a masterpiece of green.',
-        condition: () => totalContribs >= 1200,
-      },
-      {
-        id: 'consistent',
-        name: 'The Consistent',
-        emoji: '⚡',
-        description: 'Steady progress, reliable output. You show up every day.',
-        condition: () => totalContribs >= 400,
-      },
-      {
-        id: 'community-star',
-        name: 'Community Star',
-        emoji: '⭐',
-        description: 'Your work inspires others. The community looks up to you.',
-        condition: () => user.followers >= 500 || totalStars >= 1000,
-      },
-    ];
     
-    // Find matching persona
-    const matchedPersona = personas.find(p => p.condition()) || {
-      id: 'tinkerer',
-      name: 'The Tinkerer',
-      emoji: '🔧',
-      description: 'Curious explorer of code, always learning and experimenting.',
+    // Reviews against commits, for people who mostly unblock others
+    const breakdown = this.calculateActivityBreakdown(events);
+    const reviewsAndCommits = breakdown.reviews + breakdown.commits;
+    
+    // Languages that make up a real slice of the work, not a config file
+    const languageList = languages?.languages || [];
+    const languageShares = {};
+    for (const language of languageList) {
+      languageShares[language.name] = parseFloat(language.percentage) / 100 || 0;
+    }
+    
+    return {
+      totalContribs,
+      activeDays: yearContribs.filter(c => c.count > 0).length,
+      longestStreak: this.calculateLongestStreak(yearContribs),
+      currentStreak: this.calculateCurrentStreak(yearContribs, year, timeZone),
+      weekendRatio: totalContribs > 0 ? weekendContribs / totalContribs : 0,
+      // Without timed events every hour is 0, which would read as midnight
+      peakHour: hourlyData.hours.some(count => count > 0) ? hourlyData.peakHour : null,
+      commits: breakdown.commits,
+      pullRequests: breakdown.pullRequests,
+      reviews: breakdown.reviews,
+      reviewShare: reviewsAndCommits > 0 ? breakdown.reviews / reviewsAndCommits : 0,
+      issues: breakdown.issues,
+      followers: user?.followers || 0,
+      stars: (repos || []).reduce((sum, r) => sum + (r.stargazers_count || 0), 0),
+      languageCount: languages?.count || 0,
+      majorLanguages: Object.values(languageShares).filter(share => share >= 0.1).length,
+      topLanguage: languageList[0]?.name || null,
+      languageShares,
+    };
+  }
+
+  /**
+   * Determine user's coding persona
+   * @param {Object} contributions - Contribution data
+   * @param {Array} repos - Repository list
+   * @param {Object} user - User profile
+   * @param {Array} events - GitHub events
+   * @param {number} year - Story year
+   * @param {Object|null} languages - Language breakdown
+   * @param {string} timeZone - Developer's zone
+   * @returns {Object} - Primary persona with score, reasons, secondary personas and metrics
+   */
+  determinePersona(contributions, repos, user, events, year = this.year, languages = null, timeZone = this.timeZone || undefined) {
+    const metrics = this.buildPersonaMetrics(contributions, repos, user, events, year, languages, timeZone);
+    return this.personaEngine.evaluate(metrics);
+  }
+
+  /**
+   * Compare two processed years for the same user
+   * @param {Object} current - processAll output for the story year
+   * @param {Object} previous - processAll output for the comparison year
+   * @returns {Object} - Deltas, language shifts, persona change and highlights
+   */
+  compareYears(current, previous) {
+    const delta = (now, before) => ({
+      current: now,
+      previous: before,
+      change: now - before,
+      percent: before > 0 ? Math.round(((now - before) / before) * 100) : null,
+    });
+    
+    const deltas = {
+      totalContributions: delta(current.stats.totalContributions, previous.stats.totalContributions),
+      longestStreak: delta(current.stats.longestStreak, previous.stats.longestStreak),
+      activeDays: delta(current.stats.activeDays, previous.stats.activeDays),
+      commits: delta(current.activityBreakdown.commits, previous.activityBreakdown.commits),
+      pullRequests: delta(current.activityBreakdown.pullRequests, previous.activityBreakdown.pullRequests),
+      reviews: delta(current.activityBreakdown.reviews, previous.activityBreakdown.reviews),
+    };
+    
+    const languages = this.compareLanguageMix(
+      this.calculateLanguageMix(current.topContributedRepos, current.languages),
+      this.calculateLanguageMix(previous.topContributedRepos, previous.languages)
+    );
+    
+    const persona = {
+      current: current.persona,
+      previous: previous.persona,
+      changed: current.persona.id !== previous.persona.id,
+    };
+    
+    return {
+      year: current.year,
+      previousYear: previous.year,
+      previous,
+      deltas,
+      languages,
+      persona,
+      highlights: this.describeComparison(deltas, languages, persona, previous.year),
+    };
+  }
+
+  /**
+   * Share of contribution weight per language across contributed repos
+   * Uses the commit-weighted byte breakdown when the provider has one.
+   * @param {Array} repos - topContributedRepos
+   * @param {Object} languages - Language breakdown from fetchAllData (optional)
+   * @returns {Object} - Language name to percentage (0-100)
+   */
+  calculateLanguageMix(repos = [], languages = null) {
+    if (languages?.weighted) {
+      const mix = {};
+      for (const lang of languages.languages) {
+        mix[lang.name] = Math.round(parseFloat(lang.percentage));
+      }
+      return mix;
+    }
+    
+    const weights = {};
+    let total = 0;
+    
+    for (const repo of repos) {
+      if (!repo.language) continue;
+      const weight = repo.userActivity?.total || 0;
+      weights[repo.language] = (weights[repo.language] || 0) + weight;
+      total += weight;
+    }
+    
+    const mix = {};
+    for (const [name, weight] of Object.entries(weights)) {
+      mix[name] = total > 0 ? Math.round((weight / total) * 100) : 0;
+    }
+    return mix;
+  }
+
+  /**
+   * Compare two language mixes
+   * @param {Object} current - Language mix for the story year
+   * @param {Object} previous - Language mix for the comparison year
+   * @returns {Object} - { gained, dropped, shifts } sorted by size of shift
+   */
+  compareLanguageMix(current, previous) {
+    const names = new Set([...Object.keys(current), ...Object.keys(previous)]);
+    const shifts = [...names]
+      .map(name => ({
+        name,
+        current: current[name] || 0,
+        previous: previous[name] || 0,
+        change: (current[name] || 0) - (previous[name] || 0),
+      }))
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+    
+    return {
+      gained: shifts.filter(l => l.previous === 0 && l.current > 0).map(l => l.name),
+      dropped: shifts.filter(l => l.current === 0 && l.previous > 0).map(l => l.name),
+      shifts,
+    };
+  }
+
+  /**
+   * Build short comparison sentences for the slides
+   * @param {Object} deltas - Metric deltas
+   * @param {Object} languages - Language comparison
+   * @param {Object} persona - Persona comparison
+   * @param {number} previousYear - Comparison year
+   * @returns {Array<string>}
+   */
+  describeComparison(deltas, languages, persona, previousYear) {
+    const labels = {
+      totalContributions: 'contributions',
+      pullRequests: 'PRs',
+      commits: 'commits',
+      reviews: 'reviews',
+      activeDays: 'active days',
+    };
+    
+    const highlights = Object.entries(labels)
+      .filter(([key]) => deltas[key].percent !== null && deltas[key].change !== 0)
+      .map(([key, label]) => {
+        const { percent } = deltas[key];
+        const direction = percent > 0 ? 'more' : 'fewer';
+        return `${Math.abs(percent)}% ${direction} ${label} than ${previousYear}`;
+      });
+    
+    if (deltas.longestStreak.change > 0) {
+      highlights.push(`Longest streak up ${deltas.longestStreak.change} days on ${previousYear}`);
+    }
+    
+    if (languages.gained.length > 0) {
+      highlights.push(`New in your stack: ${languages.gained.slice(0, 3).join(', ')}`);
+    }
+    
+    if (persona.changed) {
+      highlights.push(`From ${persona.previous.name} to ${persona.current.name}`);
+    }
+    
+    return highlights;
+  }
+
+  /**
+   * Merge several members' raw data into one team-level raw data object
+   * that processAll can consume like a single user's data.
+   * @param {Array} membersRaw - fetchAllData results per member
+   * @param {Object|null} profile - Organization profile, if any
+   * @param {number} year - Story year
+   * @returns {Object} - Merged raw data
+   */
+  mergeTeamData(membersRaw, profile = null, year = this.year) {
+    const users = membersRaw.map(m => m.user);
+    
+    // Sum contribution counts per day
+    const dailyCounts = new Map();
+    for (const member of membersRaw) {
+      for (const day of member.contributions?.contributions || []) {
+        dailyCounts.set(day.date, (dailyCounts.get(day.date) || 0) + day.count);
+      }
+    }
+    const contributions = [...dailyCounts.entries()]
+      .map(([date, count]) => ({ date, count, level: this.getContributionLevel(count) }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    
+    // Repos owned by several members (or the org) only count once
+    const repoMap = new Map();
+    for (const member of membersRaw) {
+      for (const repo of member.repos || []) {
+        repoMap.set(repo.full_name, repo);
+      }
+    }
+    
+    const events = membersRaw
+      .flatMap(m => m.events || [])
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    
+    const earliest = users.reduce((min, u) => 
+      !min || new Date(u.created_at) < new Date(min) ? u.created_at : min, null);
+    
+    const user = {
+      login: profile?.login || 'team',
+      name: profile?.name || profile?.login || `Team of ${users.length}`,
+      avatar_url: profile?.avatar_url || users[0]?.avatar_url,
+      bio: profile?.description || users.map(u => `@${u.login}`).join(' '),
+      location: profile?.location || null,
+      company: null,
+      created_at: profile?.created_at || earliest,
+      html_url: profile?.html_url,
+      followers: users.reduce((sum, u) => sum + (u.followers || 0), 0),
+      following: users.reduce((sum, u) => sum + (u.following || 0), 0),
+      public_repos: repoMap.size,
     };
     
     return {
-      ...matchedPersona,
-      stats: {
-        totalContribs,
-        weekendRatio: Math.round(weekendRatio * 100),
-        peakHour: hourlyData.peakHourFormatted,
-        followers: user.followers,
-        stars: totalStars,
+      year,
+      user,
+      repos: [...repoMap.values()],
+      events,
+      contributions: {
+        total: { [year]: contributions.reduce((sum, c) => sum + c.count, 0) },
+        contributions,
       },
+      languages: this.mergeLanguages(membersRaw.map(m => m.languages)),
+      commitDetails: membersRaw.some(m => Array.isArray(m.commitDetails))
+        ? membersRaw.flatMap(m => m.commitDetails || [])
+        : null,
+      pullRequests: membersRaw.some(m => Array.isArray(m.pullRequests))
+        ? membersRaw.flatMap(m => m.pullRequests || [])
+        : null,
+      reviews: membersRaw.some(m => Array.isArray(m.reviews))
+        ? membersRaw.flatMap(m => m.reviews || [])
+        : null,
+      collaborators: membersRaw.some(m => Array.isArray(m.collaborators))
+        ? membersRaw.flatMap(m => m.collaborators || [])
+        : null,
+      issues: membersRaw.some(m => m.issues)
+        ? {
+          authored: membersRaw.flatMap(m => m.issues?.authored || []),
+          commentedOn: membersRaw.reduce((sum, m) => sum + (m.issues?.commentedOn || 0), 0),
+          closedByYou: membersRaw.some(m => typeof m.issues?.closedByYou === 'number')
+            ? membersRaw.reduce((sum, m) => sum + (m.issues?.closedByYou || 0), 0)
+            : null,
+          answers: membersRaw.some(m => m.issues?.answers)
+            ? membersRaw.flatMap(m => m.issues?.answers || [])
+            : null,
+        }
+        : null,
+    };
+  }
+
+  /**
+   * Merge aggregateLanguages outputs
+   * Each member's commit-weighted shares (raw bytes when unweighted) are
+   * turned into fractions of that member first, so every member counts
+   * the same however their breakdown was measured.
+   * @param {Array} languageSets - Per-member language breakdowns
+   * @returns {Object} - Language breakdown with percentages
+   */
+  mergeLanguages(languageSets) {
+    const merged = {};
+    
+    for (const set of languageSets) {
+      const languages = set?.languages || [];
+      const setWeight = languages.reduce((sum, lang) => sum + (lang.share ?? lang.bytes), 0);
+      if (setWeight <= 0) continue;
+      
+      for (const lang of languages) {
+        const entry = merged[lang.name] || (merged[lang.name] = { name: lang.name, bytes: 0, weight: 0 });
+        entry.bytes += lang.bytes;
+        entry.weight += (lang.share ?? lang.bytes) / setWeight;
+      }
+    }
+    
+    const totalBytes = Object.values(merged).reduce((sum, l) => sum + l.bytes, 0);
+    const totalWeight = Object.values(merged).reduce((sum, l) => sum + l.weight, 0);
+    const languages = Object.values(merged)
+      .map(({ name, bytes, weight }) => ({
+        name,
+        bytes,
+        percentage: totalWeight > 0 ? ((weight / totalWeight) * 100).toFixed(1) : 0,
+      }))
+      .sort((a, b) => parseFloat(b.percentage) - parseFloat(a.percentage))
+      .slice(0, 10);
+    
+    return {
+      languages,
+      total: totalBytes,
+      count: Object.keys(merged).length,
+      weighted: languageSets.some(set => set?.weighted),
+    };
+  }
+
+  /**
+   * Build the team-only parts of a team story
+   * @param {Array} members - [{ raw, processed }] per member
+   * @returns {Object} - Leaderboard and shared repos
+   */
+  buildTeamSummary(members) {
+    const leaderboard = members
+      .map(({ raw, processed }) => ({
+        login: raw.user.login,
+        name: raw.user.name || raw.user.login,
+        avatar_url: raw.user.avatar_url,
+        html_url: raw.user.html_url,
+        totalContributions: processed.stats.totalContributions,
+        activeDays: processed.stats.activeDays,
+        longestStreak: processed.stats.longestStreak,
+        persona: processed.persona,
+      }))
+      .sort((a, b) => b.totalContributions - a.totalContributions);
+    
+    // Repos more than one member actually contributed to
+    const repoMembers = new Map();
+    for (const { raw, processed } of members) {
+      for (const repo of processed.topContributedRepos) {
+        const entry = repoMembers.get(repo.full_name);
+        if (!entry) {
+          repoMembers.set(repo.full_name, {
+            ...repo,
+            userActivity: { ...repo.userActivity },
+            members: [raw.user.login],
+          });
+          continue;
+        }
+        
+        entry.members.push(raw.user.login);
+        for (const key of Object.keys(entry.userActivity)) {
+          entry.userActivity[key] += repo.userActivity[key] || 0;
+        }
+        entry.score += repo.score;
+        entry.language = entry.language || repo.language;
+      }
+    }
+    
+    const sharedRepos = [...repoMembers.values()]
+      .filter(repo => repo.members.length > 1)
+      .sort((a, b) => b.members.length - a.members.length || b.score - a.score);
+    
+    return {
+      memberCount: members.length,
+      leaderboard,
+      sharedRepos,
     };
   }
 
@@ -724,69 +1458,6 @@ class DataProcessor {
     score = starsScore + forksScore + activityScore + originalityScore + descScore + sizeScore;
     return Math.round(score * 10) / 10;
   }
-
-  /**
-   * Detect persona from user data and stats
-   * @param {Object} userData - Raw user data
-   * @param {Object} stats - Processed stats
-   * @returns {Object} - Persona with title, emoji, description
-   */
-  detectPersona(userData, stats) {
-    const { user, repos, events } = userData;
-    const hourlyData = this.calculateHourlyActivity(events || []);
-    const totalStars = repos?.reduce((sum, r) => sum + (r.stargazers_count || 0), 0) || 0;
-    
-    // Peak hour based persona
-    const peakHour = hourlyData.peakHour;
-    
-    if (peakHour >= 22 || peakHour < 4) {
-      return {
-        title: 'Night Owl',
-        emoji: '🌙',
-        description: 'You do your best work when the world sleeps.'
-      };
-    }
-    
-    if (peakHour >= 5 && peakHour < 9) {
-      return {
-        title: 'Early Bird',
-        emoji: '🌅',
-        description: 'First light, first commit. You start before others wake.'
-      };
-    }
-    
-    // Stats based persona
-    if (stats.totalContributions >= 1200) {
-      return {
-        title: 'Grid Painter',
-        emoji: '🎨',
-        description: 'Your contribution graph is a masterpiece of green.'
-      };
-    }
-    
-    if (user?.followers >= 500 || totalStars >= 1000) {
-      return {
-        title: 'Community Star',
-        emoji: '⭐',
-        description: 'Your work inspires others. The community looks up to you.'
-      };
-    }
-    
-    if (stats.longestStreak >= 30) {
-      return {
-        title: 'The Consistent',
-        emoji: '⚡',
-        description: 'Steady progress, reliable output. You show up every day.'
-      };
-    }
-    
-    // Default
-    return {
-      title: 'The Tinkerer',
-      emoji: '🔧',
-      description: 'Curious explorer of code, always learning and experimenting.'
-    };
-  }
 }
 
 export { DataProcessor };
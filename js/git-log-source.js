@@ -0,0 +1,315 @@
+/**
+ * GitStory 2025 - Local Git Log Source
+ *
+ * Builds the fetchAllData structure from `git log` output, for work
+ * that lives on self-hosted servers GitHub never sees. Expected format
+ * (one tab-separated line per commit, optionally followed by the
+ * files it touched):
+ *
+ *   git log --no-merges --name-only \
+ *     --pretty=format:'%H%x09%aI%x09%an%x09%ae%x09%s' > my-repo.log
+ *
+ * Several repositories can be bundled into one file by starting each
+ * section with a `# repo: <name>` line:
+ *
+ *   for d in ~/src/*; do
+ *     echo "# repo: $(basename "$d")"
+ *     git -C "$d" log --no-merges --name-only \
+ *       --pretty=format:'%H%x09%aI%x09%an%x09%ae%x09%s'
+ *     echo
+ *   done > gitstory.log
+ */
+
+import { buildContributionCalendar } from './provider-api.js';
+import { isValidTimeZone, inferTimeZone, getZonedParts } from './time-zone.js';
+
+// `<40-hex hash>\t<ISO date>\t<name>\t<email>\t<subject>`
+const COMMIT_LINE = /^([0-9a-f]{40})\t([^\t]+)\t([^\t]*)\t([^\t]*)\t?(.*)$/;
+const REPO_HEADER = /^#\s*repo:\s*(.+)$/i;
+
+// File extension -> language, for repos without GitHub's linguist data
+const EXTENSION_LANGUAGES = {
+  js: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript', jsx: 'JavaScript',
+  ts: 'TypeScript', tsx: 'TypeScript',
+  py: 'Python', rb: 'Ruby', go: 'Go', rs: 'Rust', java: 'Java',
+  kt: 'Kotlin', swift: 'Swift', c: 'C', h: 'C', cpp: 'C++', cc: 'C++',
+  hpp: 'C++', cs: 'C#', php: 'PHP', scala: 'Scala', sh: 'Shell',
+  html: 'HTML', css: 'CSS', scss: 'SCSS', vue: 'Vue', dart: 'Dart',
+  lua: 'Lua', ex: 'Elixir', exs: 'Elixir', hs: 'Haskell', sql: 'SQL',
+};
+
+/**
+ * Custom error class for unusable git log input
+ */
+class GitLogError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GitLogError';
+  }
+}
+
+/**
+ * Local git history data source
+ */
+class GitLogSource {
+  /**
+   * Parse one log (or bundle) into commits
+   * @param {string} text - git log output
+   * @param {string} defaultRepo - Repo name when the text has no `# repo:` headers
+   * @returns {Array} - Commits { repo, sha, date, name, email, subject, files }
+   */
+  parse(text, defaultRepo = 'local') {
+    const commits = [];
+    let repo = defaultRepo;
+    let current = null;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      const header = line.match(REPO_HEADER);
+      if (header) {
+        repo = header[1].trim();
+        current = null;
+        continue;
+      }
+
+      const match = rawLine.match(COMMIT_LINE);
+      if (match) {
+        const [, sha, date, name, email, subject] = match;
+        if (isNaN(new Date(date))) continue;
+
+        current = { repo, sha, date, name, email: email.toLowerCase(), subject, files: [] };
+        commits.push(current);
+      } else if (current) {
+        // --name-only file list for the previous commit
+        current.files.push(line);
+      }
+    }
+
+    return commits;
+  }
+
+  /**
+   * Build fetchAllData-shaped data from one or more logs
+   * @param {Array<Object>} logs - [{ text, name }] where name is the fallback repo name
+   * @param {Object} options - { year, author, timeZone } where author matches name or
+   *   email and timeZone overrides the zone inferred from commit offsets
+   * @returns {Object} - Raw data in the fetchAllData shape
+   */
+  build(logs, { year = new Date().getFullYear(), author = '', timeZone = null } = {}) {
+    const allCommits = logs.flatMap(log => this.parse(log.text, log.name));
+    if (allCommits.length === 0) {
+      throw new GitLogError('No commits found. Check the log uses the documented --pretty format.');
+    }
+
+    const identity = this.resolveAuthor(allCommits, author);
+    const commits = allCommits.filter(c => c.email === identity.email || c.name === identity.name);
+    if (commits.length === 0) {
+      throw new GitLogError(`No commits by "${author}" in this log.`);
+    }
+
+    const zone = isValidTimeZone(timeZone)
+      ? { id: timeZone, source: 'setting' }
+      : inferTimeZone({ events: this.buildEvents(commits) });
+
+    const yearCommits = commits.filter(c => this.localDate(c.date, zone.id).startsWith(`${year}-`));
+    const repos = this.buildRepos(commits);
+
+    return {
+      year,
+      user: this.buildUser(identity, commits, repos.length),
+      repos,
+      events: this.buildEvents(yearCommits),
+      contributions: this.buildCalendar(yearCommits, year, zone.id),
+      languages: this.aggregateLanguages(commits),
+      timeZone: zone,
+      error: null,
+    };
+  }
+
+  /**
+   * Pick the author to tell the story of
+   * Defaults to whoever has the most commits.
+   * @param {Array} commits - Parsed commits
+   * @param {string} author - Name or email filter (optional)
+   * @returns {Object} - { name, email }
+   */
+  resolveAuthor(commits, author) {
+    const needle = author.trim().toLowerCase();
+    const counts = new Map();
+
+    for (const commit of commits) {
+      if (needle && commit.email !== needle && commit.name.toLowerCase() !== needle) continue;
+
+      const entry = counts.get(commit.email) || { name: commit.name, email: commit.email, count: 0 };
+      entry.count++;
+      counts.set(commit.email, entry);
+    }
+
+    const [top] = [...counts.values()].sort((a, b) => b.count - a.count);
+    if (!top) {
+      throw new GitLogError(`No commits by "${author}" in this log.`);
+    }
+    return top;
+  }
+
+  /**
+   * The calendar date of an ISO timestamp in the developer's zone
+   * @param {string} iso - e.g. 2025-03-04T23:15:00+01:00
+   * @param {string} timeZone - Zone id
+   * @returns {string} - YYYY-MM-DD
+   */
+  localDate(iso, timeZone) {
+    return getZonedParts(iso, timeZone).date;
+  }
+
+  /**
+   * Build a GitHub-like user profile
+   * @param {Object} identity - { name, email }
+   * @param {Array} commits - The author's commits
+   * @param {number} repoCount - Number of repositories
+   * @returns {Object}
+   */
+  buildUser(identity, commits, repoCount) {
+    const login = identity.email.split('@')[0] || identity.name;
+    const first = commits.reduce((min, c) => (new Date(c.date) < new Date(min) ? c.date : min), commits[0].date);
+
+    return {
+      login,
+      name: identity.name,
+      avatar_url: this.buildAvatar(identity.name || login),
+      html_url: null,
+      bio: 'Local git history',
+      location: null,
+      company: null,
+      followers: 0,
+      following: 0,
+      public_repos: repoCount,
+      created_at: first,
+    };
+  }
+
+  /**
+   * Initial-letter avatar as an SVG data URL
+   * @param {string} name - Display name
+   * @returns {string}
+   */
+  buildAvatar(name) {
+    const initial = (name.trim().charAt(0) || '?').toUpperCase()
+      .replace(/[<>&"']/g, '?');
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200">` +
+      `<rect width="200" height="200" fill="#1a1a2e"/>` +
+      `<text x="100" y="128" font-family="sans-serif" font-size="96" fill="#a78bfa" text-anchor="middle">${initial}</text>` +
+      `</svg>`;
+    return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+  }
+
+  /**
+   * Build repository records from commit history
+   * @param {Array} commits - The author's commits
+   * @returns {Array} - GitHub-like repos
+   */
+  buildRepos(commits) {
+    const byRepo = new Map();
+
+    for (const commit of commits) {
+      if (!byRepo.has(commit.repo)) byRepo.set(commit.repo, []);
+      byRepo.get(commit.repo).push(commit);
+    }
+
+    return [...byRepo.entries()].map(([name, repoCommits]) => {
+      const dates = repoCommits.map(c => new Date(c.date)).sort((a, b) => a - b);
+      const [language] = this.aggregateLanguages(repoCommits).languages;
+
+      return {
+        name,
+        full_name: `local/${name}`,
+        description: `${repoCommits.length} commits in local history`,
+        html_url: null,
+        language: language?.name || null,
+        fork: false,
+        size: 0,
+        stargazers_count: 0,
+        forks_count: 0,
+        created_at: dates[0].toISOString(),
+        updated_at: dates[dates.length - 1].toISOString(),
+        pushed_at: dates[dates.length - 1].toISOString(),
+      };
+    });
+  }
+
+  /**
+   * Turn commits into PushEvents, one per commit
+   * @param {Array} commits - Commits in the story year
+   * @returns {Array} - Events sorted newest first
+   */
+  buildEvents(commits) {
+    return commits
+      .map(commit => ({
+        type: 'PushEvent',
+        repo: { name: `local/${commit.repo}` },
+        created_at: commit.date,
+        payload: {
+          size: 1,
+          commits: [{ sha: commit.sha, message: commit.subject }],
+        },
+      }))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  /**
+   * Build a contributions calendar for the year
+   * @param {Array} commits - Commits in the story year
+   * @param {number} year - Story year
+   * @param {string} timeZone - Zone whose calendar days are counted
+   * @returns {Object} - { total, contributions } like the contributions API
+   */
+  buildCalendar(commits, year, timeZone) {
+    const counts = {};
+    for (const commit of commits) {
+      const date = this.localDate(commit.date, timeZone);
+      counts[date] = (counts[date] || 0) + 1;
+    }
+
+    return buildContributionCalendar(counts, year);
+  }
+
+  /**
+   * Estimate languages from the files each commit touched
+   * @param {Array} commits - Commits with --name-only file lists
+   * @returns {Object} - { languages, total, count } like aggregateLanguages
+   */
+  aggregateLanguages(commits) {
+    const touches = {};
+    let total = 0;
+
+    for (const commit of commits) {
+      for (const file of commit.files) {
+        const extension = file.split('.').pop().toLowerCase();
+        const language = EXTENSION_LANGUAGES[extension];
+        if (!language) continue;
+
+        touches[language] = (touches[language] || 0) + 1;
+        total++;
+      }
+    }
+
+    const languages = Object.entries(touches)
+      .map(([name, bytes]) => ({
+        name,
+        bytes,
+        percentage: total > 0 ? ((bytes / total) * 100).toFixed(1) : 0,
+      }))
+      .sort((a, b) => b.bytes - a.bytes)
+      .slice(0, 10);
+
+    return {
+      languages,
+      total,
+      count: Object.keys(touches).length,
+    };
+  }
+}
+
+export { GitLogSource, GitLogError };
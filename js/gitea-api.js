@@ -0,0 +1,306 @@
+/**
+ * GitStory 2025 - Gitea API Integration
+ *
+ * Adapter for Gitea and Forgejo instances (API v1). Repositories,
+ * activity feeds and the heatmap are normalized into the
+ * GitHub-shaped fetchAllData result that DataProcessor expects.
+ */
+
+import { ProviderAPI, buildContributionCalendar } from './provider-api.js';
+import { getZonedParts } from './time-zone.js';
+
+const GITEA_API_BASE = 'https://gitea.com/api/v1';
+
+// Activity feeds are paged 50 at a time; keep very busy years bounded
+const MAX_FEED_PAGES = 20;
+
+// UTC offsets stay within ±14:00, so a day either side covers the year in any zone
+const YEAR_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+// Gitea activity op_type -> GitHub event type and payload
+const OP_TYPES = {
+  create_repo: ['CreateEvent', { ref_type: 'repository' }],
+  create_pull_request: ['PullRequestEvent', { action: 'opened' }],
+  merge_pull_request: ['PullRequestEvent', { action: 'closed', pull_request: { merged: true } }],
+  auto_merge_pull_request: ['PullRequestEvent', { action: 'closed', pull_request: { merged: true } }],
+  close_pull_request: ['PullRequestEvent', { action: 'closed', pull_request: { merged: false } }],
+  create_issue: ['IssuesEvent', { action: 'opened' }],
+  close_issue: ['IssuesEvent', { action: 'closed' }],
+  comment_issue: ['IssueCommentEvent', {}],
+  comment_pull: ['PullRequestReviewCommentEvent', {}],
+  approve_pull_request: ['PullRequestReviewEvent', { review: { state: 'approved' } }],
+  reject_pull_request: ['PullRequestReviewEvent', { review: { state: 'changes_requested' } }],
+  push_tag: ['CreateEvent', { ref_type: 'tag' }],
+  delete_branch: ['DeleteEvent', { ref_type: 'branch' }],
+  delete_tag: ['DeleteEvent', { ref_type: 'tag' }],
+  star_repo: ['WatchEvent', {}],
+};
+
+/**
+ * Gitea API Client
+ */
+class GiteaAPI extends ProviderAPI {
+  /**
+   * @param {string} baseUrl - API root, e.g. https://git.example.com/api/v1
+   */
+  constructor(baseUrl = GITEA_API_BASE) {
+    super(baseUrl, 'Gitea');
+  }
+
+  /**
+   * Get request headers
+   * @returns {Headers}
+   */
+  getHeaders() {
+    const headers = new Headers({
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+    });
+
+    if (this.token) {
+      headers.set('Authorization', `token ${this.token}`);
+    }
+
+    return headers;
+  }
+
+  /**
+   * Get user profile
+   * @param {string} username - Gitea username
+   * @returns {Promise<Object>} - Raw Gitea user
+   */
+  async getUser(username) {
+    return this.request(`/users/${encodeURIComponent(username)}`, { cacheTag: { username } });
+  }
+
+  /**
+   * Get user's repositories (paginated)
+   * @param {string} username - Gitea username
+   * @returns {Promise<Array>} - Raw Gitea repos
+   */
+  async getRepos(username) {
+    const limit = 50;
+
+    return this.requestAllPages((page) => {
+      const query = new URLSearchParams({ limit, page }).toString();
+      return this.request(`/users/${encodeURIComponent(username)}/repos?${query}`, {
+        cacheTag: { username },
+      });
+    }, limit);
+  }
+
+  /**
+   * Get the user's own activity, newest first, back to the start of the year
+   * The year is cut in UTC with a day's margin; the caller trims it once
+   * the developer's zone is known.
+   * @param {string} username - Gitea username
+   * @param {number} year - Story year
+   * @returns {Promise<Array>} - Raw Gitea activities around the year
+   */
+  async getActivities(username, year) {
+    const limit = 50;
+    const activities = [];
+    const start = Date.UTC(year, 0, 1) - YEAR_MARGIN_MS;
+    const end = Date.UTC(year + 1, 0, 1) + YEAR_MARGIN_MS;
+
+    for (let page = 1; page <= MAX_FEED_PAGES; page++) {
+      const query = new URLSearchParams({ 'only-performed-by': true, limit, page }).toString();
+      const batch = await this.request(`/users/${encodeURIComponent(username)}/activities/feeds?${query}`, {
+        cacheTag: { username, year },
+      });
+
+      activities.push(...batch);
+
+      const oldest = batch[batch.length - 1];
+      if (batch.length < limit || new Date(oldest.created) < start) break;
+    }
+
+    return activities.filter(a => {
+      const time = new Date(a.created).getTime();
+      return time >= start && time < end;
+    });
+  }
+
+  /**
+   * Get the contribution heatmap (about the last year, in 15-minute buckets)
+   * @param {string} username - Gitea username
+   * @returns {Promise<Array>} - [{ timestamp, contributions }]
+   */
+  async getHeatmap(username) {
+    try {
+      return await this.request(`/users/${encodeURIComponent(username)}/heatmap`, {
+        cacheTag: { username },
+      });
+    } catch (error) {
+      // Instances can disable the heatmap
+      console.warn('Gitea heatmap unavailable:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Convert a Gitea user to GitHub's field names
+   * @param {Object} user - Raw Gitea user
+   * @param {number} repoCount - Number of repositories
+   * @returns {Object}
+   */
+  normalizeUser(user, repoCount) {
+    return {
+      login: user.login,
+      name: user.full_name || null,
+      avatar_url: user.avatar_url,
+      html_url: user.html_url || null,
+      bio: user.description || null,
+      location: user.location || null,
+      company: null,
+      followers: user.followers_count || 0,
+      following: user.following_count || 0,
+      public_repos: repoCount,
+      created_at: user.created,
+    };
+  }
+
+  /**
+   * Convert a Gitea repo to GitHub's field names
+   * @param {Object} repo - Raw Gitea repo
+   * @returns {Object}
+   */
+  normalizeRepo(repo) {
+    return {
+      name: repo.name,
+      full_name: repo.full_name,
+      description: repo.description,
+      html_url: repo.html_url,
+      language: repo.language || null,
+      fork: !!repo.fork,
+      size: repo.size || 0,
+      stargazers_count: repo.stars_count || 0,
+      forks_count: repo.forks_count || 0,
+      created_at: repo.created_at,
+      updated_at: repo.updated_at,
+      pushed_at: repo.updated_at,
+    };
+  }
+
+  /**
+   * Convert a Gitea activity to a GitHub-style event
+   * @param {Object} activity - Raw Gitea activity
+   * @returns {Object|null} - null for activities the story doesn't use
+   */
+  normalizeActivity(activity) {
+    const base = {
+      repo: { name: activity.repo?.full_name || 'unknown' },
+      // Gitea stamps the server's offset, not the author's; store UTC so
+      // it isn't mistaken for a commit time zone
+      created_at: new Date(activity.created).toISOString(),
+    };
+
+    if (activity.op_type === 'commit_repo' || activity.op_type === 'mirror_sync_push') {
+      // Push content is a JSON summary of the pushed commits
+      let push = {};
+      try {
+        push = JSON.parse(activity.content || '{}');
+      } catch (error) {
+        push = {};
+      }
+
+      // Commits is capped to the latest few; Len is the real count
+      const commits = (push.Commits || []).map(c => ({ sha: c.Sha1, message: c.Message }));
+      const size = Math.max(push.Len || 0, commits.length, 1);
+      while (commits.length < size) {
+        commits.push({ sha: null });
+      }
+
+      return {
+        ...base,
+        type: 'PushEvent',
+        payload: { size, commits },
+      };
+    }
+
+    const mapping = OP_TYPES[activity.op_type];
+    if (!mapping) return null;
+
+    const [type, payload] = mapping;
+    return { ...base, type, payload: { ...payload } };
+  }
+
+  /**
+   * Build the calendar from the heatmap, or from activity if it's empty
+   * @param {Array} heatmap - Raw heatmap buckets
+   * @param {Array} events - Normalized events
+   * @param {number} year - Story year
+   * @param {string} timeZone - Zone whose calendar days are counted
+   * @returns {Object} - { total, contributions }
+   */
+  buildCalendar(heatmap, events, year, timeZone = 'UTC') {
+    const counts = {};
+
+    for (const bucket of heatmap) {
+      const date = getZonedParts(bucket.timestamp * 1000, timeZone).date;
+      if (!date.startsWith(`${year}-`)) continue;
+      counts[date] = (counts[date] || 0) + bucket.contributions;
+    }
+
+    if (Object.keys(counts).length === 0) {
+      return this.buildCalendarFromEvents(events, year, timeZone);
+    }
+
+    return buildContributionCalendar(counts, year);
+  }
+
+  /**
+   * Fetch all data needed for GitStory
+   * @param {string} username - Gitea username
+   * @param {Function} onProgress - Progress callback
+   * @param {number} year - Story year
+   * @returns {Promise<Object>}
+   */
+  async fetchAllData(username, onProgress = () => {}, year = new Date().getFullYear()) {
+    const results = {
+      year,
+      user: null,
+      repos: [],
+      events: [],
+      contributions: null,
+      languages: {},
+      timeZone: null,
+      error: null,
+    };
+
+    try {
+      // Step 1: Get user profile
+      onProgress('Fetching profile...');
+      const user = await this.getUser(username);
+
+      // Step 2-4: Get repositories, activity and heatmap
+      onProgress('Loading repositories and activity...');
+      const [repos, activities, heatmap] = await Promise.all([
+        this.getRepos(username),
+        this.getActivities(username, year),
+        this.getHeatmap(username),
+      ]);
+
+      results.user = this.normalizeUser(user, repos.length);
+      results.repos = repos.map(repo => this.normalizeRepo(repo));
+      results.events = activities
+        .map(activity => this.normalizeActivity(activity))
+        .filter(Boolean);
+      results.timeZone = this.resolveTimeZone(results);
+      results.events = results.events.filter(e => getZonedParts(e.created_at, results.timeZone.id).year === year);
+      results.contributions = this.buildCalendar(heatmap, results.events, year, results.timeZone.id);
+
+      // Step 5: Aggregate languages from repos
+      onProgress('Processing languages...');
+      results.languages = this.aggregateLanguages(results.repos);
+
+      onProgress('Complete!');
+      return results;
+    } catch (error) {
+      results.error = error;
+      throw error;
+    }
+  }
+}
+
+export { GiteaAPI, GITEA_API_BASE };
@@ -2,36 +2,242 @@
  * GitStory 2025 - GitHub API Integration
  * 
  * Handles all GitHub API calls with caching and rate limiting.
- * Supports both authenticated and unauthenticated requests.
+ * Supports both authenticated and unauthenticated requests, on
+ * github.com or a GitHub Enterprise Server (`https://host/api/v3`).
  */
 
+import { ProviderAPI, ProviderAPIError, MAX_TEAM_MEMBERS } from './provider-api.js';
+import { getZonedParts } from './time-zone.js';
+
 const GITHUB_API_BASE = 'https://api.github.com';
+const GITHUB_GRAPHQL_URL = 'https://api.github.com/graphql';
 const CONTRIBUTIONS_API = 'https://github-contributions-api.jogruber.de/v4';
 
-// Cache configuration
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
-const cache = new Map();
+// Per-repo contribution connections and the node fields each one needs
+const REPO_CONTRIBUTION_FIELDS = {
+  commitContributionsByRepository: 'occurredAt commitCount',
+  pullRequestContributionsByRepository: 'occurredAt',
+  issueContributionsByRepository: 'occurredAt',
+  pullRequestReviewContributionsByRepository: 'occurredAt',
+};
+
+/**
+ * Build a per-repo contribution selection, one page of nodes per repo
+ * @param {string} field - Key of REPO_CONTRIBUTION_FIELDS
+ * @param {string} after - Cursor argument, or '' for the first page
+ * @returns {string}
+ */
+function repoContributionsSelection(field, after = '') {
+  return `
+        ${field}(maxRepositories: 100) {
+          repository { nameWithOwner isPrivate }
+          contributions(first: 100${after}) {
+            pageInfo { hasNextPage endCursor }
+            nodes { ${REPO_CONTRIBUTION_FIELDS[field]} }
+          }
+        }`;
+}
+
+// contributionsCollection query used when a token is available.
+// The API caps the per-repo lists at 100 repos; each repo's nodes come
+// 100 at a time and the rest are paged in with CONTRIBUTIONS_PAGE_QUERY.
+const CONTRIBUTIONS_QUERY = `
+  query ($login: String!, $from: DateTime!, $to: DateTime!) {
+    user(login: $login) {
+      contributionsCollection(from: $from, to: $to) {
+        totalCommitContributions
+        totalPullRequestContributions
+        totalIssueContributions
+        totalPullRequestReviewContributions
+        restrictedContributionsCount
+        contributionCalendar {
+          totalContributions
+          weeks {
+            contributionDays { date contributionCount contributionLevel }
+          }
+        }${Object.keys(REPO_CONTRIBUTION_FIELDS).map(field => repoContributionsSelection(field)).join('')}
+      }
+    }
+  }
+`;
+
+// The next page of one per-repo contribution list
+const CONTRIBUTIONS_PAGE_QUERY = (field) => `
+  query ($login: String!, $from: DateTime!, $to: DateTime!, $cursor: String!) {
+    user(login: $login) {
+      contributionsCollection(from: $from, to: $to) {${repoContributionsSelection(field, ', after: $cursor')}
+      }
+    }
+  }
+`;
+
+// Authored pull requests with their size and reviews, via search
+const PULL_REQUESTS_QUERY = `
+  query ($query: String!, $cursor: String) {
+    search(query: $query, type: ISSUE, first: 100, after: $cursor) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        ... on PullRequest {
+          title url number state createdAt mergedAt closedAt
+          additions deletions changedFiles
+          author { login }
+          repository { nameWithOwner isPrivate }
+          reviews(first: 50) { nodes { author { login } state submittedAt } }
+        }
+      }
+    }
+  }
+`;
+
+// Pull requests the user reviewed, with their own reviews and the
+// review requests that preceded them
+const REVIEWS_QUERY = `
+  query ($query: String!, $login: String!, $cursor: String) {
+    search(query: $query, type: ISSUE, first: 50, after: $cursor) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        ... on PullRequest {
+          title url number
+          author { login }
+          repository { nameWithOwner isPrivate }
+          reviews(first: 20, author: $login) {
+            nodes { state submittedAt comments { totalCount } }
+          }
+          timelineItems(first: 20, itemTypes: [REVIEW_REQUESTED_EVENT]) {
+            nodes {
+              ... on ReviewRequestedEvent {
+                createdAt
+                requestedReviewer { ... on User { login } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Issues the user opened, with labels and close times
+const ISSUES_QUERY = `
+  query ($query: String!, $cursor: String) {
+    search(query: $query, type: ISSUE, first: 100, after: $cursor) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        ... on Issue {
+          title url number state createdAt closedAt
+          repository { nameWithOwner isPrivate }
+          labels(first: 10) { nodes { name } }
+          comments { totalCount }
+        }
+      }
+    }
+  }
+`;
+
+// Issues the user commented on, and a page of their accepted discussion answers
+const DISCUSSION_QUERY = `
+  query ($commented: String!, $login: String!, $cursor: String) {
+    commented: search(query: $commented, type: ISSUE, first: 1) { issueCount }
+    user(login: $login) {
+      repositoryDiscussionComments(onlyAnswers: true, first: 100, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          createdAt
+          discussion { title url repository { nameWithOwner isPrivate } }
+        }
+      }
+    }
+  }
+`;
+
+// Closed issues the user took part in, with who closed them last
+const CLOSED_ISSUES_QUERY = `
+  query ($query: String!, $cursor: String) {
+    search(query: $query, type: ISSUE, first: 100, after: $cursor) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        ... on Issue {
+          timelineItems(last: 1, itemTypes: [CLOSED_EVENT]) {
+            nodes { ... on ClosedEvent { actor { login } } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Search returns at most 1,000 results (10 pages of 100)
+const MAX_SEARCH_PAGES = 10;
+
+// GraphQL contributionLevel -> jogruber 0-4 level
+const CONTRIBUTION_LEVELS = {
+  NONE: 0,
+  FIRST_QUARTILE: 1,
+  SECOND_QUARTILE: 2,
+  THIRD_QUARTILE: 3,
+  FOURTH_QUARTILE: 4,
+};
+
+// Payload fields that could reveal what a private repo is about
+const PRIVATE_TEXT_FIELDS = ['title', 'body', 'message', 'html_url', 'url', 'head', 'base', 'labels', 'ref'];
+
+// Languages cost one request per repo, so only look up the most active
+const MAX_LANGUAGE_LOOKUPS = 15;
+
+// Co-contributors are looked up on the user's busiest repos only
+const MAX_COLLABORATOR_REPOS = 5;
+const MAX_CONTRIBUTORS_PER_REPO = 15;
+
+// Deep scan fetches every commit individually; keep it to the busiest
+// repos and the latest commits in each
+const MAX_DEEP_SCAN_REPOS = 5;
+const MAX_DEEP_SCAN_COMMITS = 50;
 
 /**
  * GitHub API Client
  */
-class GitHubAPI {
-  constructor() {
-    this.token = null;
-    this.rateLimitRemaining = null;
-    this.rateLimitReset = null;
+class GitHubAPI extends ProviderAPI {
+  /**
+   * @param {string} baseUrl - REST API root, e.g. https://ghe.example.com/api/v3
+   */
+  constructor(baseUrl = GITHUB_API_BASE) {
+    super(baseUrl, 'GitHub');
+    this.isEnterprise = this.baseUrl !== GITHUB_API_BASE;
+    this.graphqlUrl = this.getGraphQLUrl(this.baseUrl);
+    // 'aggregate' hides private repo names; 'show' keeps them
+    this.privacyMode = 'aggregate';
+    this.deepScan = false;
+    this.tokenInfo = null;
+  }
+
+  /**
+   * Choose how private repositories appear in the story
+   * @param {string} mode - 'aggregate' (counted, names hidden) or 'show'
+   */
+  setPrivacyMode(mode) {
+    this.privacyMode = mode === 'show' ? 'show' : 'aggregate';
+  }
+
+  /**
+   * Turn the commit deep scan on or off
+   * It costs one request per commit, so it only runs when asked for.
+   * @param {boolean} enabled - Whether to fetch per-commit stats
+   */
+  setDeepScan(enabled) {
+    this.deepScan = !!enabled;
   }
 
   /**
-   * Set the authentication token
-   * @param {string} token - GitHub Personal Access Token
+   * Derive the GraphQL endpoint from the REST root
+   * GHES serves REST at /api/v3 and GraphQL at /api/graphql.
+   * @param {string} baseUrl - REST API root
+   * @returns {string}
    */
-  setToken(token) {
-    if (token && token.trim()) {
-      this.token = token.trim();
-      // Clear cache when token changes
-      cache.clear();
+  getGraphQLUrl(baseUrl) {
+    if (baseUrl === GITHUB_API_BASE) {
+      return GITHUB_GRAPHQL_URL;
     }
+    return baseUrl.replace(/\/api\/v3$/, '') + '/api/graphql';
   }
 
   /**
@@ -52,74 +258,74 @@ class GitHubAPI {
   }
 
   /**
-   * Check cache for existing data
-   * @param {string} key - Cache key
-   * @returns {any|null}
+   * Create a GitHubAPIError
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status
+   * @returns {GitHubAPIError}
    */
-  getFromCache(key) {
-    const cached = cache.get(key);
-    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-      return cached.data;
-    }
-    cache.delete(key);
-    return null;
+  createError(message, status) {
+    return new GitHubAPIError(message, status, this.rateLimitRemaining);
   }
 
   /**
-   * Store data in cache
-   * @param {string} key - Cache key
-   * @param {any} data - Data to cache
+   * Run a GraphQL query (requires a token)
+   * @param {string} query - GraphQL query document
+   * @param {Object} variables - Query variables
+   * @param {Object} cacheTag - { username, year } for the stored response
+   * @returns {Promise<Object>} - The `data` payload
    */
-  setCache(key, data) {
-    cache.set(key, {
-      data,
-      timestamp: Date.now(),
-    });
-  }
+  async graphql(query, variables = {}, cacheTag = {}) {
+    const cacheKey = this.getCacheKey(`graphql:${query}:${JSON.stringify(variables)}`);
 
-  /**
-   * Make an API request with caching
-   * @param {string} endpoint - API endpoint
-   * @param {Object} options - Fetch options
-   * @returns {Promise<any>}
-   */
-  async request(endpoint, options = {}) {
-    const cacheKey = `${endpoint}:${this.token ? 'auth' : 'noauth'}`;
-    
-    // Check cache first
-    const cached = this.getFromCache(cacheKey);
-    if (cached) {
-      return cached;
+    const cached = await this.getFromCache(cacheKey);
+    if (this.isFresh(cached)) {
+      return cached.data;
+    }
+
+    if (!this.token) {
+      throw new GitHubAPIError('GraphQL API requires a token', 401, this.rateLimitRemaining);
     }
 
-    const url = endpoint.startsWith('http') ? endpoint : `${GITHUB_API_BASE}${endpoint}`;
-    
     try {
-      const response = await fetch(url, {
-        ...options,
+      const response = await this.scheduler.fetch(this.graphqlUrl, {
+        method: 'POST',
         headers: this.getHeaders(),
-      });
+        body: JSON.stringify({ query, variables }),
+      }, 'graphql');
 
       // Update rate limit info
-      this.rateLimitRemaining = parseInt(response.headers.get('X-RateLimit-Remaining') || '0');
-      this.rateLimitReset = parseInt(response.headers.get('X-RateLimit-Reset') || '0');
+      this.updateRateLimit(response);
+
+      const body = await response.json().catch(() => ({}));
 
       if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
         throw new GitHubAPIError(
-          error.message || `HTTP ${response.status}`,
+          body.message || `HTTP ${response.status}`,
           response.status,
           this.rateLimitRemaining
         );
       }
 
-      const data = await response.json();
-      this.setCache(cacheKey, data);
-      return data;
+      // GraphQL reports query errors with a 200 status
+      if (body.errors?.length) {
+        const notFound = body.errors.some(e => e.type === 'NOT_FOUND');
+        throw new GitHubAPIError(
+          body.errors[0].message,
+          notFound ? 404 : 400,
+          this.rateLimitRemaining
+        );
+      }
+
+      await this.setCache(cacheKey, body.data, cacheTag);
+      return body.data;
     } catch (error) {
       if (error instanceof GitHubAPIError) {
         throw error;
       }
+      // Network failure: replay the last stored response
+      if (cached) {
+        return cached.data;
+      }
       throw new GitHubAPIError(error.message, 0, this.rateLimitRemaining);
     }
   }
@@ -130,7 +336,37 @@ class GitHubAPI {
    * @returns {Promise<Object>}
    */
   async getUser(username) {
-    return this.request(`/users/${encodeURIComponent(username)}`);
+    return this.request(`/users/${encodeURIComponent(username)}`, { cacheTag: { username } });
+  }
+
+  /**
+   * Get organization profile
+   * @param {string} org - Organization login
+   * @returns {Promise<Object>}
+   */
+  async getOrg(org) {
+    return this.request(`/orgs/${encodeURIComponent(org)}`, { cacheTag: { username: org } });
+  }
+
+  /**
+   * Get public members of an organization (paginated)
+   * @param {string} org - Organization login
+   * @returns {Promise<Array<string>>} - Member logins
+   */
+  async getOrgMembers(org) {
+    const members = [];
+    const per_page = 100;
+
+    for (let page = 1; members.length < MAX_TEAM_MEMBERS; page++) {
+      const query = new URLSearchParams({ per_page, page }).toString();
+      const batch = await this.request(`/orgs/${encodeURIComponent(org)}/members?${query}`, {
+        cacheTag: { username: org },
+      });
+      members.push(...batch.map(m => m.login));
+      if (batch.length < per_page) break;
+    }
+
+    return members.slice(0, MAX_TEAM_MEMBERS);
   }
 
   /**
@@ -142,7 +378,189 @@ class GitHubAPI {
   async getRepos(username, options = {}) {
     const { sort = 'updated', per_page = 100, page = 1 } = options;
     const query = new URLSearchParams({ sort, per_page, page }).toString();
-    return this.request(`/users/${encodeURIComponent(username)}/repos?${query}`);
+    return this.request(`/users/${encodeURIComponent(username)}/repos?${query}`, { cacheTag: { username } });
+  }
+
+  /**
+   * Detect who the token belongs to and what it may read
+   * Classic tokens list their scopes in X-OAuth-Scopes; fine-grained
+   * tokens send no header, so their access is only known by trying.
+   * @returns {Promise<Object|null>} - { login, scopes, canReadPrivate }, null without a usable token
+   */
+  async detectTokenScopes() {
+    if (!this.token) return null;
+    if (this.tokenInfo?.forToken === this.token) return this.tokenInfo;
+
+    try {
+      const response = await this.scheduler.fetch(`${this.baseUrl}/user`, {
+        headers: this.getHeaders(),
+      });
+      this.updateRateLimit(response);
+      if (!response.ok) return null;
+
+      const viewer = await response.json();
+      const header = response.headers.get('X-OAuth-Scopes');
+      const scopes = header === null
+        ? null
+        : header.split(',').map(scope => scope.trim()).filter(Boolean);
+
+      this.tokenInfo = {
+        forToken: this.token,
+        login: viewer.login,
+        scopes,
+        canReadPrivate: scopes === null || scopes.includes('repo'),
+      };
+      return this.tokenInfo;
+    } catch (error) {
+      console.warn('Could not detect token scopes:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the token user's own and collaborator repositories, private ones included
+   * Org repos they merely have access to as a member are left out; work
+   * there still shows up through events and contributions.
+   * @param {string} username - Cache tag (the token's user)
+   * @returns {Promise<Array>}
+   */
+  async getAuthenticatedRepos(username) {
+    const per_page = 100;
+
+    return this.requestAllPages((page) => {
+      const query = new URLSearchParams({
+        visibility: 'all',
+        affiliation: 'owner,collaborator',
+        sort: 'updated',
+        per_page,
+        page,
+      }).toString();
+      return this.request(`/user/repos?${query}`, { cacheTag: { username } });
+    }, per_page);
+  }
+
+  /**
+   * Replace private repo names with placeholders in repos and events
+   * Private work still counts toward every aggregate.
+   * @param {Object} results - fetchAllData results to redact in place
+   */
+  redactPrivateRepos(results) {
+    // Stable, opaque aliases so team stories can still merge the same repo
+    const hashName = (text) => {
+      let hash = 5381;
+      for (const char of text) {
+        hash = ((hash * 33) ^ char.charCodeAt(0)) >>> 0;
+      }
+      return hash.toString(36);
+    };
+    const aliases = new Map();
+    const aliasFor = (fullName) => {
+      if (!aliases.has(fullName)) {
+        aliases.set(fullName, `private-repo-${hashName(fullName)}`);
+      }
+      return aliases.get(fullName);
+    };
+
+    results.repos = results.repos.map((repo) => {
+      if (!repo.private) return repo;
+      const name = aliasFor(repo.full_name);
+      return {
+        ...repo,
+        name,
+        full_name: `private/${name}`,
+        description: null,
+        html_url: null,
+        homepage: null,
+        topics: [],
+      };
+    });
+
+    const privateNames = new Set(aliases.keys());
+    results.events = results.events.map((event) => {
+      const fullName = event.repo?.name;
+      const isPrivate = event.repo?.private || event.public === false || privateNames.has(fullName);
+      if (!fullName || !isPrivate) return event;
+
+      const name = aliasFor(fullName);
+      return { ...event, repo: { name: `private/${name}`, private: true }, payload: this.redactPayload(event.payload) };
+    });
+
+    if (results.pullRequests) {
+      results.pullRequests = results.pullRequests.map((pr) => {
+        if (!pr.private && !privateNames.has(pr.repo)) return pr;
+        return { ...pr, repo: `private/${aliasFor(pr.repo)}`, title: null, url: null, number: null };
+      });
+    }
+
+    if (results.reviews) {
+      results.reviews = results.reviews.map((review) => {
+        if (!review.private && !privateNames.has(review.repo)) return review;
+        return {
+          ...review,
+          repo: `private/${aliasFor(review.repo)}`,
+          pullRequest: { ...review.pullRequest, title: null, url: null, number: null },
+        };
+      });
+    }
+
+    if (results.issues) {
+      const redact = (item) => {
+        if (!item.private && !privateNames.has(item.repo)) return item;
+        return { ...item, repo: `private/${aliasFor(item.repo)}`, title: null, url: null, number: null };
+      };
+      results.issues = {
+        ...results.issues,
+        authored: results.issues.authored.map(redact),
+        answers: results.issues.answers?.map(redact) ?? null,
+      };
+    }
+
+    if (results.collaborators) {
+      results.collaborators = results.collaborators.map((collaborator) => {
+        if (!collaborator.private && !privateNames.has(collaborator.repo)) return collaborator;
+        return { ...collaborator, repo: `private/${aliasFor(collaborator.repo)}` };
+      });
+    }
+
+    if (results.commitDetails) {
+      results.commitDetails = results.commitDetails.map((commit) => {
+        if (!commit.private && !privateNames.has(commit.repo)) return commit;
+
+        // Keep extensions (or Makefile-style names) for the file type
+        // stats, hide the paths
+        const files = commit.files.map((file) => {
+          const base = file.filename.split('/').pop();
+          const type = base.includes('.') ? `file.${base.split('.').pop()}` : base;
+          return { ...file, filename: `private-${hashName(`${commit.repo}/${file.filename}`)}/${type}` };
+        });
+        const name = aliasFor(commit.repo);
+        return { ...commit, repo: `private/${name}`, sha: null, message: null, html_url: null, files };
+      });
+    }
+  }
+
+  /**
+   * Strip titles, bodies and links from a private event payload
+   * Counts, states and timestamps are kept for the stats.
+   * @param {Object} payload - Event payload
+   * @returns {Object}
+   */
+  redactPayload(payload = {}) {
+    const strip = (object) => {
+      if (!object || typeof object !== 'object') return object;
+      const copy = { ...object };
+      for (const field of PRIVATE_TEXT_FIELDS) delete copy[field];
+      return copy;
+    };
+
+    const redacted = strip(payload);
+    for (const key of ['pull_request', 'issue', 'comment', 'review']) {
+      if (payload[key]) redacted[key] = strip(payload[key]);
+    }
+    if (Array.isArray(payload.commits)) {
+      redacted.commits = payload.commits.map(strip);
+    }
+    return redacted;
   }
 
   /**
@@ -178,7 +596,9 @@ class GitHubAPI {
    * @returns {Promise<Array>}
    */
   async getEvents(username, page = 1) {
-    return this.request(`/users/${encodeURIComponent(username)}/events/public?per_page=100&page=${page}`);
+    return this.request(`/users/${encodeURIComponent(username)}/events/public?per_page=100&page=${page}`, {
+      cacheTag: { username },
+    });
   }
 
   /**
@@ -195,8 +615,10 @@ class GitHubAPI {
         const events = await this.getEvents(username, page);
         allEvents.push(...events);
         if (events.length < 100) break;
-      } catch (e) {
-        break;
+      } catch (error) {
+        // 422 means we paged past the end of the event window
+        if (error instanceof GitHubAPIError && error.status === 422) break;
+        throw error;
       }
     }
 
@@ -211,20 +633,26 @@ class GitHubAPI {
    */
   async getContributions(username, year = new Date().getFullYear()) {
     const cacheKey = `contributions:${username}:${year}`;
-    const cached = this.getFromCache(cacheKey);
-    if (cached) return cached;
+    const cached = await this.getFromCache(cacheKey);
+    if (this.isFresh(cached)) return cached.data;
 
     try {
-      const response = await fetch(`${CONTRIBUTIONS_API}/${encodeURIComponent(username)}?y=${year}`);
+      const response = await this.scheduler.fetch(
+        `${CONTRIBUTIONS_API}/${encodeURIComponent(username)}?y=${year}`,
+        {},
+        'contributions'
+      );
       
       if (!response.ok) {
         throw new Error(`Failed to fetch contributions: ${response.status}`);
       }
 
       const data = await response.json();
-      this.setCache(cacheKey, data);
+      await this.setCache(cacheKey, data, { username, year });
       return data;
     } catch (error) {
+      // Offline or blocked: replay the last stored calendar
+      if (cached) return cached.data;
       console.error('Contributions API error:', error);
       // Return empty structure on error
       return {
@@ -235,22 +663,132 @@ class GitHubAPI {
   }
 
   /**
-   * Get rate limit status
-   * @returns {Promise<Object>}
+   * Get a year of contributions from the GraphQL contributionsCollection
+   * @param {string} username - GitHub username
+   * @param {number} year - Year to fetch
+   * @returns {Promise<Object>} - { contributions, events, totals }
    */
-  async getRateLimit() {
-    return this.request('/rate_limit');
+  async getContributionsCollection(username, year = new Date().getFullYear()) {
+    const variables = {
+      login: username,
+      from: `${year}-01-01T00:00:00Z`,
+      to: `${year}-12-31T23:59:59Z`,
+    };
+    const data = await this.graphql(CONTRIBUTIONS_QUERY, variables, { username, year });
+
+    const collection = data?.user?.contributionsCollection;
+    if (!collection) {
+      throw new GitHubAPIError('User not found', 404, this.rateLimitRemaining);
+    }
+    await this.fetchRemainingContributions(collection, variables, { username, year });
+
+    // Calendar in the same shape as the contributions API
+    const days = collection.contributionCalendar.weeks
+      .flatMap(week => week.contributionDays)
+      .map(day => ({
+        date: day.date,
+        count: day.contributionCount,
+        level: CONTRIBUTION_LEVELS[day.contributionLevel] || 0,
+      }));
+
+    return {
+      contributions: {
+        total: { [year]: collection.contributionCalendar.totalContributions },
+        contributions: days,
+      },
+      events: this.buildEventsFromCollection(collection),
+      totals: {
+        commits: collection.totalCommitContributions,
+        pullRequests: collection.totalPullRequestContributions,
+        issues: collection.totalIssueContributions,
+        reviews: collection.totalPullRequestReviewContributions,
+        restricted: collection.restrictedContributionsCount,
+      },
+    };
   }
 
   /**
-   * Get current rate limit info
-   * @returns {Object}
+   * Page in per-repo contributions beyond the first 100 of each repo
+   * Cursors belong to one repo's list, so each page is only applied to
+   * the repos that were waiting on that same cursor.
+   * @param {Object} collection - contributionsCollection payload, extended in place
+   * @param {Object} variables - { login, from, to } of the first query
+   * @param {Object} cacheTag - { username, year }
    */
-  getRateLimitInfo() {
-    return {
-      remaining: this.rateLimitRemaining,
-      resetAt: this.rateLimitReset ? new Date(this.rateLimitReset * 1000) : null,
-    };
+  async fetchRemainingContributions(collection, variables, cacheTag) {
+    for (const field of Object.keys(REPO_CONTRIBUTION_FIELDS)) {
+      let pending = (collection[field] || []).filter(entry => entry.contributions?.pageInfo?.hasNextPage);
+
+      while (pending.length > 0) {
+        const cursor = pending[0].contributions.pageInfo.endCursor;
+        const data = await this.graphql(CONTRIBUTIONS_PAGE_QUERY(field), { ...variables, cursor }, cacheTag);
+        const pages = new Map((data?.user?.contributionsCollection?.[field] || [])
+          .map(entry => [entry.repository.nameWithOwner, entry.contributions]));
+
+        pending = pending.filter((entry) => {
+          const { contributions } = entry;
+          if (contributions.pageInfo.endCursor !== cursor) return true;
+
+          const page = pages.get(entry.repository.nameWithOwner);
+          if (!page) return false;
+          contributions.nodes.push(...page.nodes);
+          contributions.pageInfo = page.pageInfo;
+          return page.pageInfo.hasNextPage && page.pageInfo.endCursor !== cursor;
+        });
+      }
+    }
+  }
+
+  /**
+   * Convert contributionsCollection per-repo data into event-like records
+   * so the rest of the pipeline can treat it like /events output.
+   * Commit contributions are per day, so their events carry
+   * `timePrecision: 'day'` and are left out of hour-of-day stats.
+   * @param {Object} collection - contributionsCollection payload
+   * @returns {Array} - Synthetic events sorted newest first
+   */
+  buildEventsFromCollection(collection) {
+    const events = [];
+    const sources = [
+      ['commitContributionsByRepository', 'PushEvent'],
+      ['pullRequestContributionsByRepository', 'PullRequestEvent'],
+      ['issueContributionsByRepository', 'IssuesEvent'],
+      ['pullRequestReviewContributionsByRepository', 'PullRequestReviewEvent'],
+    ];
+
+    for (const [field, type] of sources) {
+      for (const entry of collection[field] || []) {
+        const repo = { name: entry.repository.nameWithOwner, private: entry.repository.isPrivate };
+
+        for (const node of entry.contributions?.nodes || []) {
+          const event = { type, repo, created_at: node.occurredAt };
+
+          if (type === 'PushEvent') {
+            event.timePrecision = 'day';
+            event.payload = {
+              size: node.commitCount,
+              commits: Array.from({ length: node.commitCount }, () => ({ sha: null })),
+            };
+          } else if (type === 'PullRequestEvent' || type === 'IssuesEvent') {
+            event.payload = { action: 'opened' };
+          } else {
+            event.payload = {};
+          }
+
+          events.push(event);
+        }
+      }
+    }
+
+    return events.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  /**
+   * Get rate limit status
+   * @returns {Promise<Object>}
+   */
+  async getRateLimit() {
+    return this.request('/rate_limit');
   }
 
   /**
@@ -267,43 +805,662 @@ class GitHubAPI {
     }
   }
 
+  /**
+   * Get a repository's language breakdown
+   * @param {string} fullName - owner/name
+   * @param {string} username - Cache tag
+   * @returns {Promise<Object>} - { Language: bytes }
+   */
+  async getRepoLanguages(fullName, username) {
+    return this.request(`/repos/${fullName}/languages`, { cacheTag: { username } });
+  }
+
+  /**
+   * Full names of the private repos seen in repos or events
+   * @param {Object} results - fetchAllData results
+   * @returns {Set<string>}
+   */
+  getPrivateRepoNames(results) {
+    return new Set([
+      ...results.repos.filter(repo => repo.private).map(repo => repo.full_name),
+      ...results.events.filter(event => event.repo?.private).map(event => event.repo.name),
+    ]);
+  }
+
+  /**
+   * Count the user's commits per repository
+   * @param {Array} events - GitHub events
+   * @returns {Map} - owner/name -> commits
+   */
+  countCommitsByRepo(events) {
+    const commitsByRepo = new Map();
+    for (const event of events) {
+      if (event.type !== 'PushEvent' || !event.repo?.name) continue;
+      const commits = event.payload?.commits?.length || 1;
+      commitsByRepo.set(event.repo.name, (commitsByRepo.get(event.repo.name) || 0) + commits);
+    }
+    return commitsByRepo;
+  }
+
+  /**
+   * Language breakdown from real byte counts
+   * Each repo's language mix is weighted by the user's own commits to it,
+   * so a polyglot repo credits every language and a drive-by fork doesn't
+   * outweigh daily work.
+   * @param {Object} results - fetchAllData results with repos and events
+   * @param {string} username - Cache tag
+   * @returns {Promise<Object>} - { languages, total, count, weighted } like aggregateLanguages
+   */
+  async fetchLanguageBreakdown(results, username) {
+    const commitsByRepo = this.countCommitsByRepo(results.events);
+
+    // Repos the user committed to first, then their most recently pushed
+    const recent = results.repos
+      .filter(repo => !repo.fork && !commitsByRepo.has(repo.full_name))
+      .sort((a, b) => new Date(b.pushed_at) - new Date(a.pushed_at))
+      .map(repo => [repo.full_name, 0]);
+    const candidates = [...commitsByRepo.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .concat(recent)
+      .slice(0, MAX_LANGUAGE_LOOKUPS);
+
+    const breakdowns = await Promise.all(candidates.map(async ([fullName, commits]) => {
+      try {
+        return { commits, languages: await this.getRepoLanguages(fullName, username) };
+      } catch (error) {
+        // Empty or inaccessible repos just drop out of the breakdown
+        return null;
+      }
+    }));
+
+    const totals = {};
+    let totalBytes = 0;
+    let totalShare = 0;
+
+    for (const breakdown of breakdowns) {
+      if (!breakdown) continue;
+      const repoBytes = Object.values(breakdown.languages).reduce((sum, bytes) => sum + bytes, 0);
+      if (repoBytes === 0) continue;
+
+      // Repos without recorded commits still count once
+      const weight = Math.max(breakdown.commits, 1);
+      for (const [name, bytes] of Object.entries(breakdown.languages)) {
+        const entry = totals[name] || (totals[name] = { name, bytes: 0, share: 0, repos: 0 });
+        const share = (bytes / repoBytes) * weight;
+        entry.bytes += bytes;
+        entry.share += share;
+        entry.repos++;
+        totalBytes += bytes;
+        totalShare += share;
+      }
+    }
+
+    if (totalShare === 0) {
+      return this.aggregateLanguages(results.repos);
+    }
+
+    const languages = Object.values(totals)
+      .map(entry => ({
+        ...entry,
+        percentage: ((entry.share / totalShare) * 100).toFixed(1),
+      }))
+      .sort((a, b) => b.share - a.share)
+      .slice(0, 10); // Top 10 languages
+
+    return {
+      languages,
+      total: totalBytes,
+      count: Object.keys(totals).length,
+      weighted: true,
+    };
+  }
+
+  /**
+   * Get the top contributors of a repository
+   * @param {string} fullName - owner/name
+   * @param {string} username - Cache tag
+   * @returns {Promise<Array>}
+   */
+  async getRepoContributors(fullName, username) {
+    return this.request(`/repos/${fullName}/contributors?per_page=${MAX_CONTRIBUTORS_PER_REPO}`, {
+      cacheTag: { username },
+    });
+  }
+
+  /**
+   * People who also contribute to the user's busiest repositories
+   * @param {Object} results - fetchAllData results with repos and events
+   * @param {string} username - GitHub username
+   * @returns {Promise<Array>} - [{ repo, private, login, avatar_url, contributions }]
+   */
+  async getCollaborators(results, username) {
+    const privateRepos = this.getPrivateRepoNames(results);
+    const repoNames = [...this.countCommitsByRepo(results.events).entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_COLLABORATOR_REPOS)
+      .map(([fullName]) => fullName);
+
+    const perRepo = await Promise.all(repoNames.map(async (fullName) => {
+      try {
+        const contributors = await this.getRepoContributors(fullName, username);
+        // Empty repos answer 204 with no list
+        return (Array.isArray(contributors) ? contributors : [])
+          .filter(c => c.type !== 'Bot' && c.login.toLowerCase() !== username.toLowerCase())
+          .map(c => ({
+            repo: fullName,
+            private: privateRepos.has(fullName),
+            login: c.login,
+            avatar_url: c.avatar_url,
+            contributions: c.contributions,
+          }));
+      } catch (error) {
+        return [];
+      }
+    }));
+
+    return perRepo.flat();
+  }
+
+  /**
+   * List the user's commits to a repository within a year, newest first
+   * @param {string} fullName - owner/name
+   * @param {string} username - GitHub username
+   * @param {number} year - Story year
+   * @returns {Promise<Array>}
+   */
+  async getRepoCommits(fullName, username, year) {
+    const query = new URLSearchParams({
+      author: username,
+      since: `${year}-01-01T00:00:00Z`,
+      until: `${year + 1}-01-01T00:00:00Z`,
+      per_page: MAX_DEEP_SCAN_COMMITS,
+    }).toString();
+    return this.request(`/repos/${fullName}/commits?${query}`, { cacheTag: { username, year } });
+  }
+
+  /**
+   * Get a single commit with its stats and files
+   * @param {string} fullName - owner/name
+   * @param {string} sha - Commit SHA
+   * @param {string} username - Cache tag
+   * @returns {Promise<Object>}
+   */
+  async getCommit(fullName, sha, username) {
+    return this.request(`/repos/${fullName}/commits/${sha}`, { cacheTag: { username } });
+  }
+
+  /**
+   * Deep scan: line and file stats for the user's commits in their
+   * most active repositories
+   * @param {Object} results - fetchAllData results with repos and events
+   * @param {string} username - GitHub username
+   * @param {number} year - Story year
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<Array>} - [{ repo, private, sha, message, date, html_url, additions, deletions, files }]
+   */
+  async fetchCommitDetails(results, username, year, onProgress) {
+    const privateRepos = this.getPrivateRepoNames(results);
+    const repoNames = [...this.countCommitsByRepo(results.events).entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_DEEP_SCAN_REPOS)
+      .map(([fullName]) => fullName);
+
+    const details = [];
+    for (const [index, fullName] of repoNames.entries()) {
+      onProgress(`Scanning commits (${index + 1}/${repoNames.length})...`);
+
+      let listed;
+      try {
+        listed = await this.getRepoCommits(fullName, username, year);
+      } catch (error) {
+        // Empty, deleted or inaccessible repos are skipped
+        console.warn(`Skipping deep scan of ${fullName}:`, error);
+        continue;
+      }
+
+      // Merge commits repeat their parents' changes
+      const own = listed.filter(commit => (commit.parents?.length || 0) <= 1);
+      const commits = await Promise.all(
+        own.map(commit => this.getCommit(fullName, commit.sha, username).catch(() => null))
+      );
+
+      for (const commit of commits.filter(Boolean)) {
+        details.push({
+          repo: fullName,
+          private: privateRepos.has(fullName),
+          sha: commit.sha,
+          message: commit.commit?.message?.split('\n')[0] || '',
+          date: commit.commit?.author?.date || null,
+          html_url: commit.html_url || null,
+          additions: commit.stats?.additions || 0,
+          deletions: commit.stats?.deletions || 0,
+          files: (commit.files || []).map(file => ({
+            filename: file.filename,
+            additions: file.additions || 0,
+            deletions: file.deletions || 0,
+          })),
+        });
+      }
+    }
+
+    return details;
+  }
+
+  /**
+   * Get pull requests the user opened in a year
+   * GraphQL adds size and reviews; without a token the search API
+   * still gives timing and merge state.
+   * @param {string} username - GitHub username
+   * @param {number} year - Story year
+   * @param {Set<string>} privateRepos - Private repo full names, for REST results
+   * @returns {Promise<Array>} - [{ repo, private, title, url, number, author, state,
+   *   createdAt, mergedAt, closedAt, additions, deletions, changedFiles, reviews }]
+   */
+  async getPullRequests(username, year, privateRepos = new Set()) {
+    const query = `author:${username} is:pr created:${year}-01-01..${year}-12-31`;
+    return this.token
+      ? this.getPullRequestsGraphQL(query, username, year)
+      : this.getPullRequestsREST(query, username, year, privateRepos);
+  }
+
+  /**
+   * Authored pull requests via GraphQL search
+   * @param {string} query - Search query
+   * @param {string} username - Cache tag
+   * @param {number} year - Cache tag
+   * @returns {Promise<Array>}
+   */
+  async getPullRequestsGraphQL(query, username, year) {
+    const pullRequests = [];
+    let cursor = null;
+
+    for (let page = 0; page < MAX_SEARCH_PAGES; page++) {
+      const data = await this.graphql(PULL_REQUESTS_QUERY, { query, cursor }, { username, year });
+      const { nodes, pageInfo } = data.search;
+
+      for (const pr of nodes) {
+        // Non-PR results come back as empty objects
+        if (!pr?.repository) continue;
+        pullRequests.push({
+          repo: pr.repository.nameWithOwner,
+          private: pr.repository.isPrivate,
+          title: pr.title,
+          url: pr.url,
+          number: pr.number,
+          author: pr.author?.login || null,
+          state: pr.state.toLowerCase(),
+          createdAt: pr.createdAt,
+          mergedAt: pr.mergedAt,
+          closedAt: pr.closedAt,
+          additions: pr.additions,
+          deletions: pr.deletions,
+          changedFiles: pr.changedFiles,
+          reviews: pr.reviews.nodes.map(review => ({
+            author: review.author?.login || null,
+            state: review.state,
+            submittedAt: review.submittedAt,
+          })),
+        });
+      }
+
+      if (!pageInfo.hasNextPage) break;
+      cursor = pageInfo.endCursor;
+    }
+
+    return pullRequests;
+  }
+
+  /**
+   * Get the reviews the user gave in a year
+   * Needs GraphQL; without a token the story falls back to review events.
+   * @param {string} username - GitHub username
+   * @param {number} year - Story year
+   * @param {string} timeZone - Developer's zone, which decides the year boundaries
+   * @returns {Promise<Array>} - [{ repo, private, pullRequest: { title, url, number, author },
+   *   state, submittedAt, comments, requestedAt }]
+   */
+  async getReviewsGiven(username, year, timeZone) {
+    // Reviews don't have their own date qualifier; a PR reviewed in the year
+    // was updated then too, and usually settles within a quarter after
+    const query = `reviewed-by:${username} -author:${username} is:pr updated:${year}-01-01..${year + 1}-03-31`;
+    const login = username.toLowerCase();
+    const reviews = [];
+    let cursor = null;
+
+    for (let page = 0; page < MAX_SEARCH_PAGES; page++) {
+      const data = await this.graphql(REVIEWS_QUERY, { query, login: username, cursor }, { username, year });
+      const { nodes, pageInfo } = data.search;
+
+      for (const pr of nodes) {
+        if (!pr?.repository) continue;
+
+        // When the user was asked to review, if they were
+        const requests = pr.timelineItems.nodes
+          .filter(item => item.requestedReviewer?.login?.toLowerCase() === login)
+          .map(item => item.createdAt)
+          .sort();
+
+        // Only the first review after a request answers it
+        let answered = null;
+        for (const review of pr.reviews.nodes) {
+          if (!review.submittedAt) continue;
+          const request = requests.filter(at => at <= review.submittedAt).pop() || null;
+          const requestedAt = request !== answered ? request : null;
+          answered = request;
+
+          if (getZonedParts(review.submittedAt, timeZone).year !== year) continue;
+          reviews.push({
+            repo: pr.repository.nameWithOwner,
+            private: pr.repository.isPrivate,
+            pullRequest: {
+              title: pr.title,
+              url: pr.url,
+              number: pr.number,
+              author: pr.author?.login || null,
+            },
+            state: review.state.toLowerCase(),
+            submittedAt: review.submittedAt,
+            comments: review.comments.totalCount,
+            requestedAt,
+          });
+        }
+      }
+
+      if (!pageInfo.hasNextPage) break;
+      cursor = pageInfo.endCursor;
+    }
+
+    return reviews;
+  }
+
+  /**
+   * Get the user's issue and discussion activity in a year
+   * Discussion answers need GraphQL, so they're null without a token.
+   * @param {string} username - GitHub username
+   * @param {number} year - Story year
+   * @param {Set<string>} privateRepos - Private repo full names, for REST results
+   * @param {string} timeZone - Developer's zone, which decides the year boundaries
+   * @returns {Promise<Object>} - { authored: [{ repo, private, title, url, number, state,
+   *   createdAt, closedAt, labels, comments }], commentedOn, answers }
+   */
+  async getIssueActivity(username, year, privateRepos = new Set(), timeZone) {
+    const range = `${year}-01-01..${year}-12-31`;
+    const authoredQuery = `author:${username} is:issue created:${range}`;
+    const commentedQuery = `commenter:${username} is:issue updated:${range}`;
+
+    if (!this.token) {
+      const per_page = 100;
+      const [items, commented] = await Promise.all([
+        this.requestAllPages((page) => {
+          const params = new URLSearchParams({ q: authoredQuery, per_page, page }).toString();
+          return this.request(`/search/issues?${params}`, { cacheTag: { username, year }, resource: 'search' })
+            .then(data => data.items || []);
+        }, per_page, MAX_SEARCH_PAGES),
+        this.request(`/search/issues?${new URLSearchParams({ q: commentedQuery, per_page: 1 }).toString()}`, {
+          cacheTag: { username, year },
+          resource: 'search',
+        }),
+      ]);
+
+      return {
+        authored: items.map((item) => {
+          const repo = item.repository_url.split('/repos/').pop();
+          return {
+            repo,
+            private: privateRepos.has(repo),
+            title: item.title,
+            url: item.html_url,
+            number: item.number,
+            state: item.state,
+            createdAt: item.created_at,
+            closedAt: item.closed_at,
+            labels: (item.labels || []).map(label => label.name),
+            comments: item.comments || 0,
+          };
+        }),
+        commentedOn: commented.total_count || 0,
+        answers: null,
+        closedByYou: null,
+      };
+    }
+
+    const authored = [];
+    let cursor = null;
+    for (let page = 0; page < MAX_SEARCH_PAGES; page++) {
+      const data = await this.graphql(ISSUES_QUERY, { query: authoredQuery, cursor }, { username, year });
+      const { nodes, pageInfo } = data.search;
+
+      for (const issue of nodes) {
+        if (!issue?.repository) continue;
+        authored.push({
+          repo: issue.repository.nameWithOwner,
+          private: issue.repository.isPrivate,
+          title: issue.title,
+          url: issue.url,
+          number: issue.number,
+          state: issue.state.toLowerCase(),
+          createdAt: issue.createdAt,
+          closedAt: issue.closedAt,
+          labels: issue.labels.nodes.map(label => label.name),
+          comments: issue.comments.totalCount,
+        });
+      }
+
+      if (!pageInfo.hasNextPage) break;
+      cursor = pageInfo.endCursor;
+    }
+
+    // Answers can't be searched by date, so page through them all
+    const answers = [];
+    let commentedOn = 0;
+    cursor = null;
+    for (let page = 0; page < MAX_SEARCH_PAGES; page++) {
+      const data = await this.graphql(DISCUSSION_QUERY, {
+        commented: commentedQuery,
+        login: username,
+        cursor,
+      }, { username, year });
+      const connection = data.user?.repositoryDiscussionComments;
+      if (page === 0) commentedOn = data.commented?.issueCount || 0;
+
+      for (const answer of connection?.nodes || []) {
+        if (getZonedParts(answer.createdAt, timeZone).year !== year) continue;
+        answers.push({
+          repo: answer.discussion.repository.nameWithOwner,
+          private: answer.discussion.repository.isPrivate,
+          title: answer.discussion.title,
+          url: answer.discussion.url,
+          createdAt: answer.createdAt,
+        });
+      }
+
+      if (!connection?.pageInfo.hasNextPage) break;
+      cursor = connection.pageInfo.endCursor;
+    }
+
+    return {
+      authored,
+      commentedOn,
+      answers,
+      closedByYou: await this.getIssuesClosedBy(username, year),
+    };
+  }
+
+  /**
+   * Count issues the user closed during the year
+   * Search has no closer qualifier, so this looks at closed issues the
+   * user is involved in and checks who closed each one last.
+   * @param {string} username - GitHub username
+   * @param {number} year - Year to count
+   * @returns {Promise<number>}
+   */
+  async getIssuesClosedBy(username, year) {
+    const query = `involves:${username} is:issue is:closed closed:${year}-01-01..${year}-12-31`;
+    const login = username.toLowerCase();
+    let count = 0;
+    let cursor = null;
+
+    for (let page = 0; page < MAX_SEARCH_PAGES; page++) {
+      const data = await this.graphql(CLOSED_ISSUES_QUERY, { query, cursor }, { username, year });
+      const { nodes, pageInfo } = data.search;
+
+      count += nodes.filter(issue =>
+        issue?.timelineItems?.nodes[0]?.actor?.login?.toLowerCase() === login
+      ).length;
+
+      if (!pageInfo.hasNextPage) break;
+      cursor = pageInfo.endCursor;
+    }
+
+    return count;
+  }
+
+  /**
+   * Authored pull requests via the REST search API
+   * Size and reviews aren't included, so they're left null.
+   * @param {string} query - Search query
+   * @param {string} username - Cache tag
+   * @param {number} year - Cache tag
+   * @param {Set<string>} privateRepos - Private repo full names
+   * @returns {Promise<Array>}
+   */
+  async getPullRequestsREST(query, username, year, privateRepos) {
+    const per_page = 100;
+    const items = await this.requestAllPages((page) => {
+      const params = new URLSearchParams({ q: query, per_page, page }).toString();
+      return this.request(`/search/issues?${params}`, {
+        cacheTag: { username, year },
+        resource: 'search',
+      }).then(data => data.items || []);
+    }, per_page, MAX_SEARCH_PAGES);
+
+    return items.map((item) => {
+      const repo = item.repository_url.split('/repos/').pop();
+      const mergedAt = item.pull_request?.merged_at || null;
+      return {
+        repo,
+        private: privateRepos.has(repo),
+        title: item.title,
+        url: item.html_url,
+        number: item.number,
+        author: item.user?.login || null,
+        state: mergedAt ? 'merged' : item.state,
+        createdAt: item.created_at,
+        mergedAt,
+        closedAt: item.closed_at,
+        additions: null,
+        deletions: null,
+        changedFiles: null,
+        reviews: null,
+      };
+    });
+  }
+
   /**
    * Fetch all data needed for GitStory
    * @param {string} username - GitHub username
    * @param {Function} onProgress - Progress callback
+   * @param {number} year - Story year
    * @returns {Promise<Object>}
    */
-  async fetchAllData(username, onProgress = () => {}) {
-    const year = new Date().getFullYear();
+  async fetchAllData(username, onProgress = () => {}, year = new Date().getFullYear()) {
     const results = {
+      year,
       user: null,
       repos: [],
       events: [],
       contributions: null,
       languages: {},
+      commitDetails: null,
+      pullRequests: null,
+      reviews: null,
+      issues: null,
+      collaborators: null,
+      timeZone: null,
       error: null,
     };
 
     try {
-      // Step 1: Get user profile
+      // Step 1: Get user profile and what the token can see
       onProgress('Fetching profile...');
-      results.user = await this.getUser(username);
+      const [user, tokenInfo] = await Promise.all([
+        this.getUser(username),
+        this.detectTokenScopes(),
+      ]);
+      results.user = user;
 
-      // Step 2: Get repositories
-      onProgress('Loading repositories...');
-      results.repos = await this.getAllRepos(username);
+      // API timestamps are UTC, so only the override or profile location can place the user
+      results.timeZone = this.resolveTimeZone(results);
 
-      // Step 3: Get events
-      onProgress('Analyzing activity...');
-      results.events = await this.getAllEvents(username);
+      // Private repos are only listed for the token's own user
+      const includePrivate = !!tokenInfo?.canReadPrivate &&
+        tokenInfo.login.toLowerCase() === username.toLowerCase();
 
-      // Step 4: Get contributions
-      onProgress('Fetching contributions...');
-      results.contributions = await this.getContributions(username, year);
+      // Step 2-4: Get repositories, activity and contributions side by side;
+      // the scheduler keeps them within the concurrency and rate limits
+      onProgress(includePrivate ? 'Loading public and private repositories...' : 'Loading repositories...');
+      const fetchActivity = this.token
+        ? this.fetchGraphQLActivity(username, year, results, onProgress)
+        : this.fetchRESTActivity(username, year, results, onProgress);
+
+      [results.repos] = await Promise.all([
+        includePrivate ? this.getAuthenticatedRepos(username) : this.getAllRepos(username),
+        fetchActivity,
+      ]);
 
-      // Step 5: Aggregate languages from repos
+      results.privacy = {
+        scopes: tokenInfo?.scopes ?? null,
+        includesPrivate: includePrivate,
+        mode: this.privacyMode,
+        privateRepos: results.repos.filter(repo => repo.private).length,
+        restrictedContributions: results.totals?.restricted || 0,
+      };
+
+      // Step 5: Language bytes, looked up before private names are redacted
       onProgress('Processing languages...');
-      results.languages = this.aggregateLanguages(results.repos);
+      try {
+        results.languages = await this.fetchLanguageBreakdown(results, username);
+      } catch (error) {
+        console.warn('Language breakdown unavailable, estimating from repos:', error);
+        results.languages = this.aggregateLanguages(results.repos);
+      }
+
+      // Step 6: Pull requests, reviews given, issues and collaborators
+      onProgress('Analyzing pull requests, reviews and issues...');
+      const privateRepos = this.getPrivateRepoNames(results);
+      const [pullRequests, reviews, issues, collaborators] = await Promise.allSettled([
+        this.getPullRequests(username, year, privateRepos),
+        this.token ? this.getReviewsGiven(username, year, results.timeZone?.id) : Promise.resolve(null),
+        this.getIssueActivity(username, year, privateRepos, results.timeZone?.id),
+        this.getCollaborators(results, username),
+      ]);
+      if (pullRequests.status === 'fulfilled') {
+        results.pullRequests = pullRequests.value;
+      } else {
+        console.warn('Pull request search unavailable:', pullRequests.reason);
+      }
+      if (reviews.status === 'fulfilled') {
+        results.reviews = reviews.value;
+      } else {
+        console.warn('Review search unavailable:', reviews.reason);
+      }
+      if (issues.status === 'fulfilled') {
+        results.issues = issues.value;
+      } else {
+        console.warn('Issue search unavailable:', issues.reason);
+      }
+      if (collaborators.status === 'fulfilled') {
+        results.collaborators = collaborators.value;
+      }
+
+      // Step 7: Opt-in commit stats
+      if (this.deepScan) {
+        results.commitDetails = await this.fetchCommitDetails(results, username, year, onProgress);
+      }
+
+      if (this.privacyMode === 'aggregate') {
+        this.redactPrivateRepos(results);
+      }
 
       onProgress('Complete!');
       return results;
@@ -314,77 +1471,64 @@ class GitHubAPI {
   }
 
   /**
-   * Aggregate language statistics from repositories
-   * @param {Array} repos - Array of repository objects
-   * @returns {Object} - Language breakdown with percentages
+   * Fill events and contributions from GraphQL, covering the whole year.
+   * Falls back to REST if the token can't use the GraphQL API.
+   * @param {string} username - GitHub username
+   * @param {number} year - Year to fetch
+   * @param {Object} results - fetchAllData results to fill
+   * @param {Function} onProgress - Progress callback
    */
-  aggregateLanguages(repos) {
-    const languageCounts = {};
-    let totalBytes = 0;
+  async fetchGraphQLActivity(username, year, results, onProgress) {
+    onProgress('Fetching contributions...');
 
-    for (const repo of repos) {
-      if (repo.language && !repo.fork) {
-        const bytes = repo.size * 1024; // Approximate
-        languageCounts[repo.language] = (languageCounts[repo.language] || 0) + bytes;
-        totalBytes += bytes;
+    try {
+      const collection = await this.getContributionsCollection(username, year);
+      results.events = collection.events;
+      results.contributions = collection.contributions;
+      results.totals = collection.totals;
+    } catch (error) {
+      if (error instanceof GitHubAPIError && (error.isNotFound || error.isRateLimited)) {
+        throw error;
       }
+      console.warn('GraphQL contributions unavailable, using REST:', error);
+      await this.fetchRESTActivity(username, year, results, onProgress);
     }
+  }
 
-    // Convert to percentages and sort
-    const languages = Object.entries(languageCounts)
-      .map(([name, bytes]) => ({
-        name,
-        bytes,
-        percentage: totalBytes > 0 ? ((bytes / totalBytes) * 100).toFixed(1) : 0,
-      }))
-      .sort((a, b) => b.bytes - a.bytes)
-      .slice(0, 10); // Top 10 languages
+  /**
+   * Fill events and contributions from REST events and the contributions API
+   * @param {string} username - GitHub username
+   * @param {number} year - Year to fetch
+   * @param {Object} results - fetchAllData results to fill
+   * @param {Function} onProgress - Progress callback
+   */
+  async fetchRESTActivity(username, year, results, onProgress) {
+    onProgress('Analyzing activity...');
+    const events = await this.getAllEvents(username);
+    results.events = events.filter(e => getZonedParts(e.created_at, results.timeZone?.id).year === year);
 
-    return {
-      languages,
-      total: totalBytes,
-      count: Object.keys(languageCounts).length,
-    };
+    onProgress('Fetching contributions...');
+    if (this.isEnterprise) {
+      // The contributions API only knows github.com; build the
+      // calendar from the instance's own events instead
+      results.contributions = this.buildCalendarFromEvents(results.events, year, results.timeZone?.id);
+    } else {
+      results.contributions = await this.getContributions(username, year);
+    }
   }
+
 }
 
 /**
  * Custom error class for GitHub API errors
  */
-class GitHubAPIError extends Error {
+class GitHubAPIError extends ProviderAPIError {
   constructor(message, status, rateLimitRemaining) {
-    super(message);
+    super(message, status, rateLimitRemaining, 'GitHub');
     this.name = 'GitHubAPIError';
-    this.status = status;
-    this.rateLimitRemaining = rateLimitRemaining;
-  }
-
-  get isNotFound() {
-    return this.status === 404;
-  }
-
-  get isRateLimited() {
-    return this.status === 403 && this.rateLimitRemaining === 0;
-  }
-
-  get isUnauthorized() {
-    return this.status === 401;
-  }
-
-  getUserFriendlyMessage() {
-    if (this.isNotFound) {
-      return 'User not found. Please check the username and try again.';
-    }
-    if (this.isRateLimited) {
-      return 'Rate limit exceeded. Please add a GitHub token or wait a moment.';
-    }
-    if (this.isUnauthorized) {
-      return 'Invalid GitHub token. Please check your token and try again.';
-    }
-    return `GitHub API error: ${this.message}`;
   }
 }
 
 // Export singleton instance
 export const githubAPI = new GitHubAPI();
-export { GitHubAPI, GitHubAPIError };
+export { GitHubAPI, GitHubAPIError, GITHUB_API_BASE };
@@ -0,0 +1,306 @@
+/**
+ * GitStory 2025 - GitLab API Integration
+ *
+ * Adapter for gitlab.com and self-hosted GitLab (REST API v4).
+ * Projects, events and a contribution calendar are normalized into
+ * the GitHub-shaped fetchAllData result that DataProcessor expects.
+ */
+
+import { ProviderAPI } from './provider-api.js';
+
+const GITLAB_API_BASE = 'https://gitlab.com/api/v4';
+
+// Events are paged 100 at a time; keep very busy years bounded
+const MAX_EVENT_PAGES = 20;
+
+// Languages cost one request per project, so only look up the most active
+const MAX_LANGUAGE_LOOKUPS = 20;
+
+/**
+ * GitLab API Client
+ */
+class GitLabAPI extends ProviderAPI {
+  /**
+   * @param {string} baseUrl - API root, e.g. https://gitlab.example.com/api/v4
+   */
+  constructor(baseUrl = GITLAB_API_BASE) {
+    super(baseUrl, 'GitLab');
+  }
+
+  /**
+   * Get request headers
+   * @returns {Headers}
+   */
+  getHeaders() {
+    const headers = new Headers({
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+    });
+
+    if (this.token) {
+      headers.set('PRIVATE-TOKEN', this.token);
+    }
+
+    return headers;
+  }
+
+  /**
+   * Get user profile
+   * GitLab looks users up by numeric id, so resolve the username first.
+   * @param {string} username - GitLab username
+   * @returns {Promise<Object>} - Raw GitLab user
+   */
+  async getUser(username) {
+    const matches = await this.request(`/users?username=${encodeURIComponent(username)}`, {
+      cacheTag: { username },
+    });
+
+    if (!matches.length) {
+      throw this.createError('User not found', 404);
+    }
+
+    return this.request(`/users/${matches[0].id}`, { cacheTag: { username } });
+  }
+
+  /**
+   * Get projects the user owns or has contributed to
+   * @param {Object} user - Raw GitLab user
+   * @returns {Promise<Array>} - Raw GitLab projects, deduplicated
+   */
+  async getProjects(user) {
+    const cacheTag = { username: user.username };
+    const per_page = 100;
+    const fetchList = (path) => this.requestAllPages((page) => {
+      const query = new URLSearchParams({ per_page, page, order_by: 'last_activity_at' }).toString();
+      return this.request(`/users/${user.id}/${path}?${query}`, { cacheTag });
+    }, per_page);
+
+    const [owned, contributed] = await Promise.all([
+      fetchList('projects'),
+      fetchList('contributed_projects'),
+    ]);
+
+    const byId = new Map();
+    for (const project of [...owned, ...contributed]) {
+      byId.set(project.id, project);
+    }
+    return [...byId.values()];
+  }
+
+  /**
+   * Get the user's events within a year
+   * @param {Object} user - Raw GitLab user
+   * @param {number} year - Story year
+   * @returns {Promise<Array>} - Raw GitLab events
+   */
+  async getEvents(user, year) {
+    const per_page = 100;
+
+    return this.requestAllPages((page) => {
+      // `after` and `before` are exclusive dates
+      const query = new URLSearchParams({
+        after: `${year - 1}-12-31`,
+        before: `${year + 1}-01-01`,
+        per_page,
+        page,
+      }).toString();
+      return this.request(`/users/${user.id}/events?${query}`, {
+        cacheTag: { username: user.username, year },
+      });
+    }, per_page, MAX_EVENT_PAGES);
+  }
+
+  /**
+   * Get a project's main language
+   * @param {Object} project - Raw GitLab project
+   * @param {string} username - Cache tag
+   * @returns {Promise<string|null>}
+   */
+  async getProjectLanguage(project, username) {
+    try {
+      const languages = await this.request(`/projects/${project.id}/languages`, {
+        cacheTag: { username },
+      });
+      const [top] = Object.entries(languages).sort((a, b) => b[1] - a[1]);
+      return top ? top[0] : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Convert a GitLab user to GitHub's field names
+   * @param {Object} user - Raw GitLab user
+   * @param {number} repoCount - Number of projects
+   * @returns {Object}
+   */
+  normalizeUser(user, repoCount) {
+    return {
+      login: user.username,
+      name: user.name,
+      avatar_url: user.avatar_url,
+      html_url: user.web_url,
+      bio: user.bio || null,
+      location: user.location || null,
+      company: user.organization || null,
+      followers: user.followers || 0,
+      following: user.following || 0,
+      public_repos: repoCount,
+      created_at: user.created_at,
+    };
+  }
+
+  /**
+   * Convert a GitLab project to GitHub's repo field names
+   * @param {Object} project - Raw GitLab project
+   * @param {string|null} language - Main language
+   * @returns {Object}
+   */
+  normalizeProject(project, language) {
+    return {
+      name: project.path,
+      full_name: project.path_with_namespace,
+      description: project.description,
+      html_url: project.web_url,
+      language,
+      fork: !!project.forked_from_project,
+      // Repository size needs extra permissions; weigh languages per project
+      size: project.statistics ? Math.round(project.statistics.repository_size / 1024) : 1,
+      stargazers_count: project.star_count || 0,
+      forks_count: project.forks_count || 0,
+      created_at: project.created_at,
+      updated_at: project.last_activity_at,
+      pushed_at: project.last_activity_at,
+    };
+  }
+
+  /**
+   * Convert a GitLab event to a GitHub-style event
+   * @param {Object} event - Raw GitLab event
+   * @param {Map} projectNames - project id -> path_with_namespace
+   * @returns {Object|null} - null for events the story doesn't use
+   */
+  normalizeEvent(event, projectNames) {
+    const action = event.action_name || '';
+    const base = {
+      repo: { name: projectNames.get(event.project_id) || `project-${event.project_id}` },
+      created_at: event.created_at,
+    };
+
+    if (action.startsWith('pushed')) {
+      const push = event.push_data || {};
+      if (push.ref_type === 'tag' || !push.commit_count) {
+        return { ...base, type: 'CreateEvent', payload: { ref_type: push.ref_type || 'branch' } };
+      }
+      return {
+        ...base,
+        type: 'PushEvent',
+        payload: {
+          size: push.commit_count,
+          commits: Array.from({ length: push.commit_count }, (_, i) => ({
+            sha: i === 0 ? push.commit_to : null,
+            message: i === 0 ? push.commit_title : null,
+          })),
+        },
+      };
+    }
+
+    switch (event.target_type) {
+      case 'MergeRequest':
+        if (action === 'opened') {
+          return { ...base, type: 'PullRequestEvent', payload: { action: 'opened' } };
+        }
+        if (action === 'accepted' || action === 'merged' || action === 'closed') {
+          const merged = action !== 'closed';
+          return { ...base, type: 'PullRequestEvent', payload: { action: 'closed', pull_request: { merged } } };
+        }
+        if (action === 'approved') {
+          return { ...base, type: 'PullRequestReviewEvent', payload: { review: { state: 'approved' } } };
+        }
+        return null;
+      case 'Issue':
+        if (action === 'opened' || action === 'closed') {
+          return { ...base, type: 'IssuesEvent', payload: { action } };
+        }
+        return null;
+      case 'Note':
+      case 'DiffNote':
+      case 'DiscussionNote': {
+        const noteable = event.note?.noteable_type;
+        const type = noteable === 'MergeRequest' ? 'PullRequestReviewCommentEvent'
+          : noteable === 'Issue' ? 'IssueCommentEvent'
+          : 'CommitCommentEvent';
+        return { ...base, type, payload: {} };
+      }
+    }
+
+    if (action === 'created') {
+      return { ...base, type: 'CreateEvent', payload: { ref_type: 'repository' } };
+    }
+    if (action === 'deleted') {
+      return { ...base, type: 'DeleteEvent', payload: {} };
+    }
+    return null;
+  }
+
+  /**
+   * Fetch all data needed for GitStory
+   * @param {string} username - GitLab username
+   * @param {Function} onProgress - Progress callback
+   * @param {number} year - Story year
+   * @returns {Promise<Object>}
+   */
+  async fetchAllData(username, onProgress = () => {}, year = new Date().getFullYear()) {
+    const results = {
+      year,
+      user: null,
+      repos: [],
+      events: [],
+      contributions: null,
+      languages: {},
+      timeZone: null,
+      error: null,
+    };
+
+    try {
+      // Step 1: Get user profile
+      onProgress('Fetching profile...');
+      const user = await this.getUser(username);
+
+      // Step 2 & 3: Get projects and events
+      onProgress('Loading projects and activity...');
+      const [projects, rawEvents] = await Promise.all([
+        this.getProjects(user),
+        this.getEvents(user, year),
+      ]);
+
+      // Step 4: Main language of the most recently active projects
+      onProgress('Processing languages...');
+      const recent = [...projects]
+        .sort((a, b) => new Date(b.last_activity_at) - new Date(a.last_activity_at))
+        .slice(0, MAX_LANGUAGE_LOOKUPS);
+      const languages = new Map(await Promise.all(
+        recent.map(async project => [project.id, await this.getProjectLanguage(project, username)])
+      ));
+
+      const projectNames = new Map(projects.map(p => [p.id, p.path_with_namespace]));
+
+      results.user = this.normalizeUser(user, projects.length);
+      results.repos = projects.map(p => this.normalizeProject(p, languages.get(p.id) || null));
+      results.events = rawEvents
+        .map(event => this.normalizeEvent(event, projectNames))
+        .filter(Boolean);
+      results.timeZone = this.resolveTimeZone(results);
+      results.contributions = this.buildCalendarFromEvents(results.events, year, results.timeZone.id);
+      results.languages = this.aggregateLanguages(results.repos);
+
+      onProgress('Complete!');
+      return results;
+    } catch (error) {
+      results.error = error;
+      throw error;
+    }
+  }
+}
+
+export { GitLabAPI, GITLAB_API_BASE };
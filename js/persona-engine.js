@@ -0,0 +1,424 @@
+/**
+ * GitStory 2025 - Persona Engine
+ *
+ * Scores every persona against one metrics object and picks a primary
+ * persona plus runners-up, each with the reasons it matched. Personas
+ * are plain data, so new ones need no code:
+ *
+ *   {
+ *     id: 'weekend-warrior',
+ *     name: 'Weekend Warrior',
+ *     emoji: '🗓️',
+ *     description: 'Your weekends are for passion projects and side quests.',
+ *     weight: 1.3,                                  // optional, default 1
+ *     rules: [{ metric: 'weekendRatio', min: 0.35 }],
+ *   }
+ *
+ * A rule names a metric (dotted paths reach into objects, e.g.
+ * `languageShares.Go`) and one or more tests:
+ *
+ *   min: n          value >= n; beating it by more scores higher (up to 3x)
+ *   max: n          value < n
+ *   between: [a, b] a <= value < b, wrapping past midnight when a > b
+ *   equals: v       value === v
+ *
+ * `{ any: [rules] }` passes when one of its rules does, and a rule's
+ * `reason` ("{value} PRs merged") replaces the generated explanation.
+ *
+ * A persona matches when all its rules pass. Its score is its weight
+ * times the average rule strength, and the best score wins.
+ *
+ * Custom personas
+ * ---------------
+ * Teams can add their own personas (or replace a built-in by reusing
+ * its id) without touching this file. Point the page's
+ * `<meta name="gitstory-personas">` at a JSON file holding an array of
+ * definitions like the one above, or at an ES module whose default
+ * export is that array. Modules may use a `condition(metrics)` function
+ * instead of, or as well as, `rules`, and an `explain(metrics)` function
+ * returning the reason text:
+ *
+ *   export default [{
+ *     id: 'migration-hero',
+ *     name: 'The Migration Hero',
+ *     emoji: '🦸',
+ *     description: 'Moved us to TypeScript and lived to tell the tale.',
+ *     weight: 2,
+ *     condition: m => (m.languageShares.TypeScript || 0) >= 0.5 && m.pullRequests >= 40,
+ *     explain: m => `${Math.round(m.languageShares.TypeScript * 100)}% TypeScript`,
+ *   }];
+ *
+ * The metrics a definition can use are listed in PERSONA_METRICS.
+ */
+
+// Rule strength stops growing at this multiple of a `min` threshold
+const MAX_RULE_STRENGTH = 3;
+
+// Runners-up shown next to the primary persona
+const SECONDARY_PERSONAS = 2;
+
+// Tests a rule can carry
+const RULE_TESTS = ['min', 'max', 'between', 'equals'];
+
+/**
+ * Custom error class for unusable persona definitions
+ */
+class PersonaDefinitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PersonaDefinitionError';
+  }
+}
+
+/**
+ * Metrics the rules can test, with how to explain a value
+ * Values are for the story year unless noted.
+ */
+const PERSONA_METRICS = {
+  totalContribs: { description: 'Contributions on the calendar', explain: v => `${v.toLocaleString()} contributions` },
+  activeDays: { description: 'Days with at least one contribution', explain: v => `${v} active days` },
+  longestStreak: { description: 'Longest run of active days', explain: v => `${v}-day longest streak` },
+  currentStreak: { description: 'Active days running into today (or Dec 31)', explain: v => `${v}-day current streak` },
+  weekendRatio: { description: 'Share of contributions on Saturday and Sunday, 0-1', explain: v => `weekend ratio ${Math.round(v * 100)}%` },
+  peakHour: { description: 'Busiest hour of day, 0-23 in the developer\'s zone; null without timed activity', explain: v => `peak hour ${v}:00` },
+  commits: { description: 'Commits pushed', explain: v => `${v} commits` },
+  pullRequests: { description: 'Pull requests opened or closed', explain: v => `${v} pull requests` },
+  reviews: { description: 'Reviews and review comments', explain: v => `${v} reviews` },
+  reviewShare: { description: 'Reviews as a share of reviews plus commits, 0-1', explain: v => `${Math.round(v * 100)}% reviews vs commits` },
+  issues: { description: 'Issues opened and issue comments', explain: v => `${v} issue interactions` },
+  followers: { description: 'Followers (all time)', explain: v => `${v.toLocaleString()} followers` },
+  stars: { description: 'Stars across owned repos (all time)', explain: v => `${v.toLocaleString()} stars` },
+  languageCount: { description: 'Languages used', explain: v => `${v} languages` },
+  majorLanguages: { description: 'Languages with at least a 10% share', explain: v => `${v} languages over 10%` },
+  topLanguage: { description: 'Name of the most used language', explain: v => `mostly ${v}` },
+  languageShares: { description: 'Share per language name, 0-1 (e.g. languageShares.Go)', explain: null },
+};
+
+/**
+ * Built-in personas
+ * Weights follow the old precedence, so it holds when matches are close.
+ * A persona that clears a `min` by a wide margin can still outrank a
+ * heavier one: a 42% weekend ratio (1.3 x 1.2) beats a night-owl peak
+ * hour (1.5 x 1).
+ */
+const BUILT_IN_PERSONAS = [
+  {
+    id: 'reviewer',
+    name: 'The Reviewer',
+    emoji: '🔍',
+    description: 'The team ships better code because you review it.',
+    weight: 1.6,
+    rules: [
+      { metric: 'reviews', min: 25 },
+      { metric: 'reviewShare', min: 0.5 },
+    ],
+  },
+  {
+    id: 'night-owl',
+    name: 'Night Owl',
+    emoji: '🌙',
+    description: 'You do your best work when the world sleeps.',
+    weight: 1.5,
+    rules: [{ metric: 'peakHour', between: [22, 4] }],
+  },
+  {
+    id: 'early-bird',
+    name: 'Early Bird',
+    emoji: '🌅',
+    description: 'First light, first commit. You start before others wake.',
+    weight: 1.4,
+    rules: [{ metric: 'peakHour', between: [5, 9] }],
+  },
+  {
+    id: 'weekend-warrior',
+    name: 'Weekend Warrior',
+    emoji: '🗓️',
+    description: 'Your weekends are for passion projects and side quests.',
+    weight: 1.3,
+    rules: [{ metric: 'weekendRatio', min: 0.35 }],
+  },
+  {
+    id: 'grid-painter',
+    name: 'Grid Painter',
+    emoji: '🎨',
+    description: 'Your contribution graph is a masterpiece of green.',
+    weight: 1.2,
+    rules: [{ metric: 'totalContribs', min: 1200 }],
+  },
+  {
+    id: 'polyglot',
+    name: 'The Polyglot',
+    emoji: '🌐',
+    description: 'No single language can contain you. You speak them all.',
+    weight: 1.1,
+    rules: [{ metric: 'majorLanguages', min: 4 }],
+  },
+  {
+    id: 'consistent',
+    name: 'The Consistent',
+    emoji: '⚡',
+    description: 'Steady progress, reliable output. You show up every day.',
+    rules: [
+      { metric: 'longestStreak', min: 30 },
+      { metric: 'totalContribs', min: 400 },
+    ],
+  },
+  {
+    id: 'community-star',
+    name: 'Community Star',
+    emoji: '⭐',
+    description: 'Your work inspires others. The community looks up to you.',
+    weight: 0.9,
+    rules: [{
+      any: [
+        { metric: 'followers', min: 500 },
+        { metric: 'stars', min: 1000 },
+      ],
+    }],
+  },
+];
+
+// Shown when nothing else matches
+const FALLBACK_PERSONA = {
+  id: 'tinkerer',
+  name: 'The Tinkerer',
+  emoji: '🔧',
+  description: 'Curious explorer of code, always learning and experimenting.',
+};
+
+/**
+ * Rule-based persona scorer
+ */
+class PersonaEngine {
+  /**
+   * @param {Array} definitions - Persona definitions
+   */
+  constructor(definitions = BUILT_IN_PERSONAS) {
+    this.definitions = [...definitions];
+  }
+
+  /**
+   * Add personas; one with an existing id replaces it
+   * @param {Array} definitions - Persona definitions
+   * @returns {number} - Number of personas added or replaced
+   */
+  register(definitions) {
+    if (!Array.isArray(definitions)) {
+      throw new PersonaDefinitionError('Custom personas must be an array of definitions.');
+    }
+
+    // All or nothing: one bad definition leaves the set as it was
+    definitions.forEach(definition => this.validate(definition));
+
+    for (const definition of definitions) {
+      const index = this.definitions.findIndex(p => p.id === definition.id);
+      if (index >= 0) {
+        this.definitions[index] = definition;
+      } else {
+        this.definitions.push(definition);
+      }
+    }
+
+    return definitions.length;
+  }
+
+  /**
+   * Load custom personas from a JSON file or an ES module
+   * @param {string} url - Definitions file, resolved against the page
+   * @returns {Promise<number>} - Number of personas registered
+   */
+  async load(url) {
+    const href = new URL(url, document.baseURI).href;
+
+    if (/\.json($|\?)/i.test(href)) {
+      const response = await fetch(href);
+      if (!response.ok) {
+        throw new PersonaDefinitionError(`Could not load ${url} (HTTP ${response.status}).`);
+      }
+      return this.register(await response.json());
+    }
+
+    const module = await import(href);
+    return this.register(module.default || module.personas);
+  }
+
+  /**
+   * Check a definition can be scored
+   * @param {Object} definition - Persona definition
+   */
+  validate(definition) {
+    const label = definition?.id || definition?.name || 'persona';
+
+    if (!definition?.id || !definition.name) {
+      throw new PersonaDefinitionError(`${label}: a persona needs an id and a name.`);
+    }
+
+    const rules = definition.rules || [];
+    if (!Array.isArray(rules)) {
+      throw new PersonaDefinitionError(`${label}: rules must be an array.`);
+    }
+    if (rules.length === 0 && typeof definition.condition !== 'function') {
+      throw new PersonaDefinitionError(`${label}: add rules or a condition function.`);
+    }
+
+    const checkRule = (rule) => {
+      if (Array.isArray(rule?.any)) {
+        rule.any.forEach(checkRule);
+        return;
+      }
+      if (typeof rule?.metric !== 'string' || !RULE_TESTS.some(test => test in rule)) {
+        throw new PersonaDefinitionError(`${label}: each rule needs a metric and one of ${RULE_TESTS.join(', ')}.`);
+      }
+
+      const [root] = rule.metric.split('.');
+      if (!(root in PERSONA_METRICS)) {
+        console.warn(`Persona ${label} uses unknown metric "${rule.metric}"; it will never match.`);
+      }
+    };
+    rules.forEach(checkRule);
+  }
+
+  /**
+   * Read a metric, following dotted paths
+   * @param {Object} metrics - Metrics object
+   * @param {string} path - e.g. "weekendRatio" or "languageShares.Go"
+   * @returns {any} - undefined when missing
+   */
+  getMetric(metrics, path) {
+    return path.split('.').reduce((value, key) => value?.[key], metrics);
+  }
+
+  /**
+   * How strongly a value passes a rule
+   * @param {Object} rule - { metric, min, max, between, equals }
+   * @param {any} value - Metric value
+   * @returns {number} - 0 when it fails, 1 when it just passes, up to MAX_RULE_STRENGTH
+   */
+  ruleStrength(rule, value) {
+    if (value === undefined || value === null) return 0;
+
+    if ('equals' in rule && value !== rule.equals) return 0;
+    if ('max' in rule && !(value < rule.max)) return 0;
+
+    if (rule.between) {
+      const [from, to] = rule.between;
+      const inside = from <= to
+        ? value >= from && value < to
+        : value >= from || value < to;
+      if (!inside) return 0;
+    }
+
+    if ('min' in rule) {
+      if (!(value >= rule.min)) return 0;
+      return rule.min > 0 ? Math.min(value / rule.min, MAX_RULE_STRENGTH) : 1;
+    }
+
+    return 1;
+  }
+
+  /**
+   * Test a rule, or the strongest passing rule of an `any` group
+   * @param {Object} rule - Rule definition
+   * @param {Object} metrics - Metrics object
+   * @returns {Object|null} - { strength, reason }, or null when it fails
+   */
+  checkRule(rule, metrics) {
+    if (rule.any) {
+      const [best] = rule.any
+        .map(option => this.checkRule(option, metrics))
+        .filter(Boolean)
+        .sort((a, b) => b.strength - a.strength);
+      return best || null;
+    }
+
+    const value = this.getMetric(metrics, rule.metric);
+    const strength = this.ruleStrength(rule, value);
+    return strength > 0 ? { strength, reason: this.explain(rule, value) } : null;
+  }
+
+  /**
+   * Describe why a rule matched
+   * @param {Object} rule - Matched rule
+   * @param {any} value - Metric value
+   * @returns {string} - e.g. "weekend ratio 41%"
+   */
+  explain(rule, value) {
+    if (rule.reason) return rule.reason.replace('{value}', value);
+
+    const [root, key] = rule.metric.split('.');
+    if (root === 'languageShares') {
+      return `${key} ${Math.round(value * 100)}% of code`;
+    }
+
+    const explainer = PERSONA_METRICS[rule.metric]?.explain;
+    return explainer ? explainer(value) : `${rule.metric} ${value}`;
+  }
+
+  /**
+   * Score one persona
+   * @param {Object} persona - Persona definition
+   * @param {Object} metrics - Metrics object
+   * @returns {Object|null} - Persona with score and reasons, or null if a rule fails
+   */
+  scorePersona(persona, metrics) {
+    const rules = persona.rules || [];
+    const { condition, explain } = persona;
+    if (rules.length === 0 && typeof condition !== 'function') return null;
+
+    let strength = 0;
+    let tests = rules.length;
+    const reasons = [];
+
+    for (const rule of rules) {
+      const result = this.checkRule(rule, metrics);
+      if (!result) return null;
+
+      strength += result.strength;
+      reasons.push(result.reason);
+    }
+
+    if (typeof condition === 'function') {
+      try {
+        if (!condition(metrics)) return null;
+        if (typeof explain === 'function') reasons.push(...[explain(metrics)].flat().filter(Boolean));
+      } catch (error) {
+        // One broken custom persona shouldn't break the story
+        console.warn(`Persona ${persona.id} failed to evaluate:`, error);
+        return null;
+      }
+      strength += 1;
+      tests += 1;
+    }
+
+    const { rules: _rules, condition: _condition, explain: _explain, weight = 1, ...details } = persona;
+    return {
+      emoji: '✨',
+      description: '',
+      ...details,
+      score: Math.round((weight * strength / tests) * 100) / 100,
+      reasons,
+    };
+  }
+
+  /**
+   * Pick the primary persona and runners-up
+   * @param {Object} metrics - Metrics object (see PERSONA_METRICS)
+   * @returns {Object} - Primary persona with score, reasons, secondary[] and metrics
+   */
+  evaluate(metrics) {
+    const matches = this.definitions
+      .map(persona => this.scorePersona(persona, metrics))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+
+    const [primary = { ...FALLBACK_PERSONA, score: 0, reasons: [] }, ...others] = matches;
+
+    return {
+      ...primary,
+      secondary: others.slice(0, SECONDARY_PERSONAS),
+      metrics,
+    };
+  }
+}
+
+export { PersonaEngine, PersonaDefinitionError, BUILT_IN_PERSONAS, FALLBACK_PERSONA, PERSONA_METRICS };
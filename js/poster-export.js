@@ -57,10 +57,11 @@ class PosterExport {
     await this.drawStats(ctx, processedData.stats);
     await this.drawPersona(ctx, processedData.persona);
     await this.drawTopRepos(ctx, processedData.scoredRepos);
-    await this.drawFooter(ctx);
+    await this.drawLanguages(ctx, processedData.languages);
+    await this.drawFooter(ctx, processedData.year);
 
     // Download
-    this.downloadPoster(canvas);
+    this.downloadPoster(canvas, processedData.year);
   }
 
   /**
@@ -403,10 +404,51 @@ class PosterExport {
     });
   }
 
+  /**
+   * Draw the language mix as one stacked bar under the projects
+   */
+  async drawLanguages(ctx, languages) {
+    const topLanguages = (languages?.languages || []).slice(0, 5);
+    if (topLanguages.length === 0) return;
+
+    const barWidth = 1240;
+    const x = (this.width - barWidth) / 2;
+    const y = 948;
+    const palette = [this.colors.aurora1, this.colors.aurora2, this.colors.aurora3, this.colors.accent1, this.colors.accent2];
+
+    // Track
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+    this.roundRect(ctx, x, y, barWidth, 10, 5);
+    ctx.fill();
+
+    // Segments, clipped to the rounded track
+    ctx.save();
+    this.roundRect(ctx, x, y, barWidth, 10, 5);
+    ctx.clip();
+    let offset = x;
+    topLanguages.forEach((lang, index) => {
+      const width = (parseFloat(lang.percentage) / 100) * barWidth;
+      ctx.fillStyle = palette[index];
+      ctx.fillRect(offset, y, width, 10);
+      offset += width;
+    });
+    ctx.restore();
+
+    // Legend
+    ctx.font = '16px "Fira Code", monospace';
+    ctx.fillStyle = this.colors.textMuted;
+    ctx.textAlign = 'center';
+    const legend = topLanguages
+      .map(lang => `${lang.name} ${Math.round(parseFloat(lang.percentage))}%`)
+      .join('  ·  ');
+    ctx.fillText(legend, this.width / 2, y + 36);
+  }
+
   /**
    * Draw footer
+   * @param {number} year - Story year
    */
-  async drawFooter(ctx) {
+  async drawFooter(ctx, year = new Date().getFullYear()) {
     // Gradient decorative line
     const lineGradient = ctx.createLinearGradient(200, this.height - 80, this.width - 200, this.height - 80);
     lineGradient.addColorStop(0, 'transparent');
@@ -431,15 +473,15 @@ class PosterExport {
     // Year badge
     ctx.font = 'bold 20px "Space Grotesk", sans-serif';
     ctx.fillStyle = this.colors.aurora3;
-    ctx.fillText('— 2025 —', this.width / 2, this.height - 25);
+    ctx.fillText(`— ${year} —`, this.width / 2, this.height - 25);
   }
 
   /**
    * Download the poster as PNG
    */
-  downloadPoster(canvas) {
+  downloadPoster(canvas, year = new Date().getFullYear()) {
     const link = document.createElement('a');
-    link.download = `gitstory-2025-poster.png`;
+    link.download = `gitstory-${year}-poster.png`;
     link.href = canvas.toDataURL('image/png', 1.0);
     document.body.appendChild(link);
     link.click();
@@ -0,0 +1,457 @@
+/**
+ * GitStory 2025 - Provider API Base
+ *
+ * Shared plumbing for forge API clients (GitHub, GitLab, Gitea):
+ * persistent caching with ETag revalidation, the rate-limit-aware
+ * scheduler, and helpers for building the normalized fetchAllData
+ * shape that DataProcessor.processAll expects:
+ *
+ *   { year, user, repos, events, contributions, languages, timeZone, error }
+ *
+ * `user`, `repos` and `events` follow GitHub's REST field names;
+ * `contributions` follows the jogruber contributions API; `timeZone`
+ * is the { id, source } the calendar days were counted in.
+ */
+
+import { storyCache } from './story-cache.js';
+import { RequestScheduler } from './request-scheduler.js';
+import { isValidTimeZone, inferTimeZone, getZonedParts } from './time-zone.js';
+
+// Team stories fetch every member, so keep the roster bounded
+const MAX_TEAM_MEMBERS = 30;
+
+// Cache configuration
+// Within this window cached responses are used as-is; after it they
+// are revalidated with If-None-Match. Offline, any age is replayed.
+const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Build a jogruber-style contribution calendar from daily counts
+ * Levels are quartiles of the busiest day, like GitHub's.
+ * @param {Object} counts - { 'YYYY-MM-DD': count }
+ * @param {number} year - Calendar year
+ * @returns {Object} - { total, contributions }
+ */
+function buildContributionCalendar(counts, year) {
+  const max = Math.max(...Object.values(counts), 1);
+  const contributions = [];
+  const day = new Date(Date.UTC(year, 0, 1));
+  let total = 0;
+
+  while (day.getUTCFullYear() === year) {
+    const date = day.toISOString().slice(0, 10);
+    const count = counts[date] || 0;
+    total += count;
+    contributions.push({
+      date,
+      count,
+      level: count === 0 ? 0 : Math.min(4, Math.ceil((count / max) * 4)),
+    });
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+
+  return {
+    total: { [year]: total },
+    contributions,
+  };
+}
+
+/**
+ * Fingerprint a token for cache keys (FNV-1a), so the token itself isn't stored
+ * @param {string} token - Access token
+ * @returns {string} - 8 hex digits
+ */
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Base class for forge API clients
+ * Subclasses implement fetchAllData(username, onProgress, year).
+ */
+class ProviderAPI {
+  /**
+   * @param {string} baseUrl - REST API root, without a trailing slash
+   * @param {string} name - Display name used in messages
+   */
+  constructor(baseUrl, name) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.name = name;
+    this.token = null;
+    this.tokenHash = null;
+    this.rateLimitRemaining = null;
+    this.rateLimitReset = null;
+    this.timeZone = null;
+    this.scheduler = new RequestScheduler();
+  }
+
+  /**
+   * Register a callback for rate limit pauses
+   * @param {Function|null} handler - Called with (until: Date, reason), then (null) on resume
+   */
+  setWaitHandler(handler) {
+    this.scheduler.onWait = handler;
+  }
+
+  /**
+   * Set the authentication token
+   * @param {string} token - Personal Access Token
+   */
+  setToken(token) {
+    if (token && token.trim()) {
+      // Cache keys include a fingerprint of the token, so one token's
+      // responses (private repos included) are never served to another
+      this.token = token.trim();
+      this.tokenHash = hashToken(this.token);
+    }
+  }
+
+  /**
+   * Override the developer's time zone
+   * @param {string|null} timeZone - IANA name or UTC offset; empty for auto-detect
+   */
+  setTimeZone(timeZone) {
+    this.timeZone = isValidTimeZone(timeZone) ? timeZone : null;
+  }
+
+  /**
+   * Pick the zone calendar days are counted in
+   * @param {Object} results - fetchAllData results with user and events
+   * @returns {Object} - { id, source }
+   */
+  resolveTimeZone(results) {
+    return this.timeZone ? { id: this.timeZone, source: 'setting' } : inferTimeZone(results);
+  }
+
+  /**
+   * Get request headers
+   * @returns {Headers}
+   */
+  getHeaders() {
+    const headers = new Headers({
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+    });
+
+    if (this.token) {
+      headers.set('Authorization', `Bearer ${this.token}`);
+    }
+
+    return headers;
+  }
+
+  /**
+   * Create the error type for this provider
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status
+   * @returns {ProviderAPIError}
+   */
+  createError(message, status) {
+    return new ProviderAPIError(message, status, this.rateLimitRemaining, this.name);
+  }
+
+  /**
+   * Record rate limit headers (X-RateLimit-* or GitLab's RateLimit-*)
+   * @param {Response} response - Fetch response
+   */
+  updateRateLimit(response) {
+    const { headers } = response;
+    const remaining = headers.get('X-RateLimit-Remaining') ?? headers.get('RateLimit-Remaining');
+
+    // Self-hosted instances can run without rate limits
+    if (remaining === null) return;
+
+    this.rateLimitRemaining = parseInt(remaining);
+    this.rateLimitReset = parseInt(
+      headers.get('X-RateLimit-Reset') || headers.get('RateLimit-Reset') || '0'
+    );
+  }
+
+  /**
+   * Build a cache key scoped to the current token
+   * @param {string} url - Request URL (or other unique request id)
+   * @returns {string}
+   */
+  getCacheKey(url) {
+    return `${url}:${this.token ? `auth-${this.tokenHash}` : 'noauth'}`;
+  }
+
+  /**
+   * Get a cached record regardless of age
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - { data, etag, timestamp, ... }
+   */
+  async getFromCache(key) {
+    return storyCache.get(key);
+  }
+
+  /**
+   * Check whether a cached record can be used without revalidating
+   * @param {Object|null} record - Cached record
+   * @returns {boolean}
+   */
+  isFresh(record) {
+    return !!record && Date.now() - record.timestamp < CACHE_DURATION;
+  }
+
+  /**
+   * Store data in cache
+   * @param {string} key - Cache key
+   * @param {any} data - Data to cache
+   * @param {Object} meta - { username, year, etag } used for revalidation and clearing
+   */
+  async setCache(key, data, meta = {}) {
+    await storyCache.set({
+      key,
+      data,
+      timestamp: Date.now(),
+      username: meta.username || null,
+      year: meta.year || null,
+      etag: meta.etag || null,
+    });
+  }
+
+  /**
+   * Remove every cached response for one user or organization
+   * @param {string} username - Username or org
+   */
+  async clearUserCache(username) {
+    await storyCache.clearUser(username);
+  }
+
+  /**
+   * Make an API request with caching
+   * @param {string} endpoint - API endpoint
+   * @param {Object} options - Fetch options, plus `cacheTag: { username, year }`
+   *   and the scheduler `resource` whose rate limit applies (default 'core')
+   * @returns {Promise<any>}
+   */
+  async request(endpoint, options = {}) {
+    const { cacheTag = {}, resource = 'core', ...fetchOptions } = options;
+    const url = endpoint.startsWith('http') ? endpoint : `${this.baseUrl}${endpoint}`;
+    const cacheKey = this.getCacheKey(url);
+
+    // Check cache first
+    const cached = await this.getFromCache(cacheKey);
+    if (this.isFresh(cached)) {
+      return cached.data;
+    }
+
+    const headers = this.getHeaders();
+    if (cached?.etag) {
+      // A 304 answer doesn't count against the rate limit
+      headers.set('If-None-Match', cached.etag);
+    }
+
+    try {
+      const response = await this.scheduler.fetch(url, {
+        ...fetchOptions,
+        headers,
+      }, resource);
+
+      // Update rate limit info
+      this.updateRateLimit(response);
+
+      if (response.status === 304 && cached) {
+        await this.setCache(cacheKey, cached.data, { ...cacheTag, etag: cached.etag });
+        return cached.data;
+      }
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw this.createError(error.message || `HTTP ${response.status}`, response.status);
+      }
+
+      const data = await response.json();
+      await this.setCache(cacheKey, data, { ...cacheTag, etag: response.headers.get('ETag') });
+      return data;
+    } catch (error) {
+      if (error instanceof ProviderAPIError) {
+        throw error;
+      }
+      // Network failure: replay the last stored response
+      if (cached) {
+        return cached.data;
+      }
+      throw this.createError(error.message, 0);
+    }
+  }
+
+  /**
+   * Fetch pages until one comes back short
+   * @param {Function} fetchPage - (page) => Promise<Array>
+   * @param {number} perPage - Page size
+   * @param {number} maxPages - Safety limit
+   * @returns {Promise<Array>}
+   */
+  async requestAllPages(fetchPage, perPage, maxPages = 10) {
+    const items = [];
+
+    for (let page = 1; page <= maxPages; page++) {
+      const batch = await fetchPage(page);
+      items.push(...batch);
+      if (batch.length < perPage) break;
+    }
+
+    return items;
+  }
+
+  /**
+   * Fetch all data needed for GitStory
+   * @param {string} username - Username
+   * @param {Function} onProgress - Progress callback
+   * @param {number} year - Story year
+   * @returns {Promise<Object>}
+   */
+  async fetchAllData(username, onProgress = () => {}, year = new Date().getFullYear()) {
+    throw new Error(`${this.name} does not implement fetchAllData`);
+  }
+
+  /**
+   * Fetch GitStory data for every member of a team
+   * Members that can't be found are skipped; other errors abort.
+   * @param {Array<string>} usernames - Member logins
+   * @param {Function} onProgress - Progress callback
+   * @param {number} year - Story year
+   * @returns {Promise<Array<Object>>} - fetchAllData results per member
+   */
+  async fetchTeamData(usernames, onProgress = () => {}, year = new Date().getFullYear()) {
+    const roster = [...new Set(usernames)].slice(0, MAX_TEAM_MEMBERS);
+
+    // Members load in parallel; the scheduler caps concurrent requests
+    const members = await Promise.all(roster.map(async (username, index) => {
+      try {
+        return await this.fetchAllData(username, (status) => {
+          onProgress(`Member ${index + 1}/${roster.length} @${username}: ${status}`);
+        }, year);
+      } catch (error) {
+        if (error instanceof ProviderAPIError && error.isNotFound) {
+          console.warn(`Skipping unknown team member: ${username}`);
+          return null;
+        }
+        throw error;
+      }
+    }));
+
+    return members.filter(Boolean);
+  }
+
+  /**
+   * Build a contribution calendar from normalized events
+   * Counts what GitHub's calendar counts: commits, opened pull requests
+   * and issues, and reviews.
+   * @param {Array} events - GitHub-style events
+   * @param {number} year - Story year
+   * @param {string} timeZone - Zone whose calendar days are counted
+   * @returns {Object} - { total, contributions }
+   */
+  buildCalendarFromEvents(events, year, timeZone = 'UTC') {
+    const counts = {};
+
+    for (const event of events) {
+      let count = 0;
+      if (event.type === 'PushEvent') count = event.payload?.commits?.length || 1;
+      else if (event.type === 'PullRequestReviewEvent') count = 1;
+      else if (event.payload?.action === 'opened') count = 1;
+      if (!count) continue;
+
+      // Day-level records are already calendar days
+      const date = event.timePrecision === 'day'
+        ? event.created_at.slice(0, 10)
+        : getZonedParts(event.created_at, timeZone).date;
+      counts[date] = (counts[date] || 0) + count;
+    }
+
+    return buildContributionCalendar(counts, year);
+  }
+
+  /**
+   * Get current rate limit info
+   * @returns {Object}
+   */
+  getRateLimitInfo() {
+    return {
+      remaining: this.rateLimitRemaining,
+      resetAt: this.rateLimitReset ? new Date(this.rateLimitReset * 1000) : null,
+    };
+  }
+
+  /**
+   * Aggregate language statistics from repositories
+   * @param {Array} repos - Array of repository objects
+   * @returns {Object} - Language breakdown with percentages
+   */
+  aggregateLanguages(repos) {
+    const languageCounts = {};
+    let totalBytes = 0;
+
+    for (const repo of repos) {
+      if (repo.language && !repo.fork) {
+        const bytes = repo.size * 1024; // Approximate
+        languageCounts[repo.language] = (languageCounts[repo.language] || 0) + bytes;
+        totalBytes += bytes;
+      }
+    }
+
+    // Convert to percentages and sort
+    const languages = Object.entries(languageCounts)
+      .map(([name, bytes]) => ({
+        name,
+        bytes,
+        percentage: totalBytes > 0 ? ((bytes / totalBytes) * 100).toFixed(1) : 0,
+      }))
+      .sort((a, b) => b.bytes - a.bytes)
+      .slice(0, 10); // Top 10 languages
+
+    return {
+      languages,
+      total: totalBytes,
+      count: Object.keys(languageCounts).length,
+    };
+  }
+}
+
+/**
+ * Custom error class for provider API errors
+ */
+class ProviderAPIError extends Error {
+  constructor(message, status, rateLimitRemaining, provider = 'GitHub') {
+    super(message);
+    this.name = 'ProviderAPIError';
+    this.status = status;
+    this.rateLimitRemaining = rateLimitRemaining;
+    this.provider = provider;
+  }
+
+  get isNotFound() {
+    return this.status === 404;
+  }
+
+  get isRateLimited() {
+    return this.status === 429 || (this.status === 403 && this.rateLimitRemaining === 0);
+  }
+
+  get isUnauthorized() {
+    return this.status === 401;
+  }
+
+  getUserFriendlyMessage() {
+    if (this.isNotFound) {
+      return 'User not found. Please check the username and try again.';
+    }
+    if (this.isRateLimited) {
+      return `Rate limit exceeded. Please add a ${this.provider} token or wait a moment.`;
+    }
+    if (this.isUnauthorized) {
+      return `Invalid ${this.provider} token. Please check your token and try again.`;
+    }
+    return `${this.provider} API error: ${this.message}`;
+  }
+}
+
+export { ProviderAPI, ProviderAPIError, buildContributionCalendar, MAX_TEAM_MEMBERS };
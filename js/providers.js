@@ -0,0 +1,52 @@
+/**
+ * GitStory 2025 - Provider Registry
+ *
+ * Maps the provider selector to API clients. Every client returns
+ * the same normalized fetchAllData shape, so the rest of the app
+ * doesn't care where the story came from.
+ */
+
+import { githubAPI, GitHubAPI, GITHUB_API_BASE } from './github-api.js';
+import { GitLabAPI, GITLAB_API_BASE } from './gitlab-api.js';
+import { GiteaAPI, GITEA_API_BASE } from './gitea-api.js';
+
+const PROVIDERS = {
+  github: {
+    label: 'GitHub',
+    defaultBaseUrl: GITHUB_API_BASE,
+    // github.com keeps the shared singleton; Enterprise Server gets its own client
+    create: (baseUrl) => (baseUrl === GITHUB_API_BASE ? githubAPI : new GitHubAPI(baseUrl)),
+  },
+  gitlab: {
+    label: 'GitLab',
+    defaultBaseUrl: GITLAB_API_BASE,
+    create: (baseUrl) => new GitLabAPI(baseUrl),
+  },
+  gitea: {
+    label: 'Gitea',
+    defaultBaseUrl: GITEA_API_BASE,
+    create: (baseUrl) => new GiteaAPI(baseUrl),
+  },
+};
+
+// One client per provider and base URL, so caches and rate limits carry over
+const clients = new Map();
+
+/**
+ * Get the API client for a provider
+ * @param {string} type - Key of PROVIDERS
+ * @param {string} baseUrl - Self-hosted API root (optional)
+ * @returns {ProviderAPI}
+ */
+function getProvider(type = 'github', baseUrl = '') {
+  const provider = PROVIDERS[type] || PROVIDERS.github;
+  const url = (baseUrl || provider.defaultBaseUrl).trim().replace(/\/+$/, '');
+  const key = `${type}:${url}`;
+
+  if (!clients.has(key)) {
+    clients.set(key, provider.create(url));
+  }
+  return clients.get(key);
+}
+
+export { PROVIDERS, getProvider };
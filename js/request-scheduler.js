@@ -0,0 +1,190 @@
+/**
+ * GitStory 2025 - Request Scheduler
+ *
+ * Runs fetches with a concurrency limit and keeps them inside
+ * GitHub's rate limits: pauses when a bucket is exhausted, and
+ * backs off and retries on secondary limits and server errors.
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_BACKOFF = 1000; // 1 second, doubled per attempt
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read a rate limit header, GitHub/Gitea style (X-RateLimit-*) or GitLab style (RateLimit-*)
+ * @param {Headers} headers - Response headers
+ * @param {string} name - Header name without prefix, e.g. 'Remaining'
+ * @returns {string|null}
+ */
+const rateLimitHeader = (headers, name) =>
+  headers.get(`X-RateLimit-${name}`) ?? headers.get(`RateLimit-${name}`);
+
+/**
+ * Concurrency-limited, rate-limit-aware fetch queue
+ */
+class RequestScheduler {
+  /**
+   * @param {Object} options - { concurrency, maxRetries }
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.active = 0;
+    this.queue = [];
+    // Rate limit buckets by resource ('core', 'graphql', ...)
+    this.limits = new Map();
+    // Called with (until: Date, reason) when waiting, and (null) when resuming
+    this.onWait = null;
+    this.waiting = 0;
+  }
+
+  /**
+   * Queue a fetch
+   * @param {string} url - Request URL
+   * @param {Object} init - Fetch options
+   * @param {string} resource - Rate limit bucket the request counts against
+   * @returns {Promise<Response>} - The final response, which may still be an error
+   */
+  fetch(url, init = {}, resource = 'core') {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ url, init, resource, resolve, reject });
+      this.next();
+    });
+  }
+
+  /**
+   * Start queued requests while below the concurrency limit
+   */
+  next() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.active++;
+
+      this.run(job)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
+  }
+
+  /**
+   * Run one request, retrying as the limits allow
+   * @param {Object} job - Queued request
+   * @returns {Promise<Response>}
+   */
+  async run(job) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForBudget(job.resource);
+
+      const response = await fetch(job.url, job.init);
+      this.updateLimit(job.resource, response);
+
+      const delay = await this.getRetryDelay(response, attempt);
+      if (delay === null || attempt >= this.maxRetries) {
+        return response;
+      }
+
+      await this.wait(delay, response.status >= 500 ? 'server error' : 'rate limited');
+    }
+  }
+
+  /**
+   * Pause until the bucket's reset time when no requests are left
+   * @param {string} resource - Rate limit bucket
+   */
+  async waitForBudget(resource) {
+    const limit = this.limits.get(resource);
+    if (!limit || limit.remaining === null) return;
+
+    const untilReset = limit.reset * 1000 - Date.now();
+    if (limit.remaining <= 0 && untilReset > 0) {
+      await this.wait(untilReset + 1000, 'rate limit reached');
+      limit.remaining = null;
+    } else if (limit.remaining > 0) {
+      // Account for requests in flight before their headers arrive
+      limit.remaining--;
+    }
+  }
+
+  /**
+   * Record rate limit headers for a bucket
+   * @param {string} resource - Bucket the request was queued against
+   * @param {Response} response - Fetch response
+   */
+  updateLimit(resource, response) {
+    const remaining = rateLimitHeader(response.headers, 'Remaining');
+    const reset = rateLimitHeader(response.headers, 'Reset');
+    if (remaining === null) return;
+
+    this.limits.set(response.headers.get('X-RateLimit-Resource') || resource, {
+      remaining: parseInt(remaining),
+      reset: parseInt(reset || '0'),
+    });
+  }
+
+  /**
+   * Decide whether a response should be retried
+   * @param {Response} response - Fetch response
+   * @param {number} attempt - Zero-based attempt number
+   * @returns {Promise<number|null>} - Delay in ms, or null to return the response
+   */
+  async getRetryDelay(response, attempt) {
+    const { status, headers } = response;
+    const backoff = BASE_BACKOFF * 2 ** attempt + Math.random() * BASE_BACKOFF;
+
+    if (status >= 500) {
+      return backoff;
+    }
+
+    if (status !== 403 && status !== 429) {
+      return null;
+    }
+
+    const retryAfter = parseInt(headers.get('Retry-After'));
+    if (!isNaN(retryAfter)) {
+      return retryAfter * 1000;
+    }
+
+    // Primary limit exhausted: wait for the window to reset
+    if (rateLimitHeader(headers, 'Remaining') === '0') {
+      const reset = parseInt(rateLimitHeader(headers, 'Reset') || '0');
+      return Math.max(reset * 1000 - Date.now(), 0) + 1000;
+    }
+
+    // Secondary limits come without headers, only a message
+    const body = await response.clone().json().catch(() => ({}));
+    if (/secondary rate limit|abuse/i.test(body.message || '')) {
+      return backoff;
+    }
+
+    return null;
+  }
+
+  /**
+   * Sleep while reporting the wait to onWait
+   * @param {number} ms - Delay
+   * @param {string} reason - Why we're waiting
+   */
+  async wait(ms, reason) {
+    this.waiting++;
+    this.onWait?.(new Date(Date.now() + ms), reason);
+    await sleep(ms);
+    this.waiting--;
+
+    // Only report resuming once no other request is still paused
+    if (this.waiting === 0) {
+      this.onWait?.(null);
+    }
+  }
+}
+
+export { RequestScheduler };
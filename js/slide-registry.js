@@ -0,0 +1,151 @@
+/**
+ * GitStory 2025 - Slide Registry
+ *
+ * Declares the deck instead of numbering it. Each slide registers:
+ *
+ *   id         - matches its <section id="slide-<id>">
+ *   requires   - processedData keys that must be present to show it
+ *   when       - optional (processedData, userData) => boolean for finer rules
+ *   populate   - optional hook, run once when a story is presented
+ *   render     - optional hook, run each time the slide is entered
+ *   animation  - AuroraSlides handler for enter/exit; defaults to the id
+ *   videoScene - optional (processedData, userData) => what the video
+ *                export draws for it: { stats, bars, columns, heatmap, lines }
+ *   replaces   - for stand-in slides outside the order: ids whose place it
+ *                takes when any of them is left out for lack of data
+ *
+ * The deck follows SLIDE_ORDER (or setOrder), so slides are reordered,
+ * dropped or added there rather than by renumbering the markup.
+ */
+
+// Default deck; the welcome slide must stay first
+const SLIDE_ORDER = [
+  'welcome',
+  'title',
+  'velocity',
+  'heatmap',
+  'composition',
+  'routine',
+  'productivity',
+  'community',
+  'network',
+  'languages',
+  'code-volume',
+  'pull-requests',
+  'reviews',
+  'issues',
+  'top-repos',
+  'featured',
+  'finale',
+];
+
+/**
+ * Slide definitions and deck order
+ */
+class SlideRegistry {
+  /**
+   * @param {Array<string>} order - Slide ids in deck order
+   */
+  constructor(order = SLIDE_ORDER) {
+    this.slides = new Map();
+    this.order = [...order];
+    
+    // Ids the last buildDeck left out for lack of data
+    this.skipped = [];
+  }
+
+  /**
+   * Add or replace a slide definition
+   * @param {Object} definition - { id, requires, when, populate, render, animation, videoScene }
+   * @returns {SlideRegistry} - For chaining
+   */
+  register(definition) {
+    this.slides.set(definition.id, {
+      requires: [],
+      animation: definition.id,
+      ...definition,
+    });
+    return this;
+  }
+
+  /**
+   * Change the deck order; ids left out are dropped from the deck
+   * @param {Array<string>} ids - Slide ids
+   */
+  setOrder(ids) {
+    this.order = [...ids];
+  }
+
+  /**
+   * Get a slide definition
+   * @param {string} id - Slide id
+   * @returns {Object|undefined}
+   */
+  get(id) {
+    return this.slides.get(id);
+  }
+
+  /**
+   * The slide's section element
+   * @param {Object} slide - Slide definition
+   * @returns {HTMLElement|null}
+   */
+  getElement(slide) {
+    return document.getElementById(`slide-${slide.id}`);
+  }
+
+  /**
+   * Check a slide has what it needs from the current story
+   * Without a story every slide counts, so the deck has its full length.
+   * @param {Object} slide - Slide definition
+   * @param {Object|null} processedData - DataProcessor.processAll output
+   * @param {Object|null} userData - Raw story data
+   * @returns {boolean}
+   */
+  isAvailable(slide, processedData, userData) {
+    if (!processedData) return true;
+
+    if (slide.requires.some(key => processedData[key] === undefined || processedData[key] === null)) {
+      return false;
+    }
+    return slide.when ? slide.when(processedData, userData) !== false : true;
+  }
+
+  /**
+   * Resolve the deck for a story
+   * @param {Object|null} processedData - DataProcessor.processAll output
+   * @param {Object|null} userData - Raw story data
+   * @returns {Array<Object>} - Slide definitions with their `element`
+   */
+  buildDeck(processedData = null, userData = null) {
+    const standIns = [...this.slides.values()]
+      .filter(slide => slide.replaces?.length && !this.order.includes(slide.id));
+    const placed = new Set();
+    const slides = [];
+    this.skipped = [];
+    
+    for (const id of this.order) {
+      const slide = this.slides.get(id);
+      if (!slide) continue;
+      
+      if (this.isAvailable(slide, processedData, userData)) {
+        slides.push(slide);
+        continue;
+      }
+      
+      // A stand-in fills the first gap it covers, once
+      this.skipped.push(id);
+      const standIn = standIns.find(candidate => !placed.has(candidate.id) && candidate.replaces.includes(id));
+      if (standIn && this.isAvailable(standIn, processedData, userData)) {
+        placed.add(standIn.id);
+        slides.push(standIn);
+      }
+    }
+    
+    return slides
+      .map(slide => ({ ...slide, element: this.getElement(slide) }))
+      .filter(slide => slide.element);
+  }
+}
+
+export { SlideRegistry, SLIDE_ORDER };
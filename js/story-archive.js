@@ -0,0 +1,122 @@
+/**
+ * GitStory 2025 - Story Archive
+ *
+ * Exports the raw fetchAllData result as JSON and imports it back,
+ * so a story can be archived or replayed without the API.
+ */
+
+/**
+ * Custom error class for unreadable archive files
+ */
+class StoryArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StoryArchiveError';
+  }
+}
+
+/**
+ * Raw data import/export
+ */
+class StoryArchive {
+  /**
+   * Serialize raw story data
+   * @param {Object} rawData - fetchAllData result
+   * @returns {string} - JSON text
+   */
+  serialize(rawData) {
+    const {
+      year, user, repos, events, contributions, languages,
+      commitDetails, pullRequests, reviews, issues, collaborators, timeZone,
+    } = rawData;
+    const data = {
+      year, user, repos, events, contributions, languages,
+      commitDetails, pullRequests, reviews, issues, collaborators, timeZone,
+    };
+    return JSON.stringify(data, null, 2);
+  }
+
+  /**
+   * Parse and validate an exported file
+   * @param {string} text - JSON text
+   * @returns {Object} - Raw data in the fetchAllData shape
+   */
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new StoryArchiveError('This file is not valid JSON.');
+    }
+
+    if (!data || typeof data !== 'object' || !data.user?.login) {
+      throw new StoryArchiveError('This file does not look like a GitStory export (missing user).');
+    }
+
+    const contributions = data.contributions?.contributions;
+    if (!Array.isArray(contributions)) {
+      throw new StoryArchiveError('This file has no contribution calendar.');
+    }
+
+    return {
+      year: data.year || this.inferYear(contributions),
+      user: data.user,
+      repos: Array.isArray(data.repos) ? data.repos : [],
+      events: Array.isArray(data.events) ? data.events : [],
+      contributions: data.contributions,
+      languages: data.languages || { languages: [], total: 0, count: 0 },
+      commitDetails: Array.isArray(data.commitDetails) ? data.commitDetails : null,
+      pullRequests: Array.isArray(data.pullRequests) ? data.pullRequests : null,
+      reviews: Array.isArray(data.reviews) ? data.reviews : null,
+      issues: Array.isArray(data.issues?.authored) ? data.issues : null,
+      collaborators: Array.isArray(data.collaborators) ? data.collaborators : null,
+      timeZone: data.timeZone?.id ? data.timeZone : null,
+      error: null,
+    };
+  }
+
+  /**
+   * Read a dropped or picked file
+   * @param {File} file - JSON file
+   * @returns {Promise<Object>} - Raw data in the fetchAllData shape
+   */
+  async readFile(file) {
+    return this.parse(await file.text());
+  }
+
+  /**
+   * Guess the story year from the calendar when the export predates `year`
+   * @param {Array} contributions - Daily contributions
+   * @returns {number}
+   */
+  inferYear(contributions) {
+    const counts = {};
+    for (const day of contributions) {
+      const year = parseInt(day.date);
+      if (year) counts[year] = (counts[year] || 0) + 1;
+    }
+
+    const [best] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return best ? parseInt(best[0]) : new Date().getFullYear();
+  }
+
+  /**
+   * Download raw story data as a JSON file
+   * @param {Object} rawData - fetchAllData result
+   */
+  download(rawData) {
+    const blob = new Blob([this.serialize(rawData)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.download = `gitstory-${rawData.user?.login || 'story'}-${rawData.year}-data.json`;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+  }
+}
+
+export { StoryArchive, StoryArchiveError };
@@ -0,0 +1,203 @@
+/**
+ * GitStory 2025 - Story Cache
+ *
+ * Persistent IndexedDB store for API responses, so stories
+ * survive reloads, revalidate with ETags and replay offline.
+ * Falls back to an in-memory Map when IndexedDB is unavailable.
+ * Records not written (or revalidated) for MAX_AGE are treated as
+ * missing and pruned the next time the database opens.
+ */
+
+const DB_NAME = 'gitstory';
+const DB_VERSION = 2;
+const STORE_NAME = 'responses';
+
+// Long enough to replay last month's stories offline, short enough that
+// responses for old tokens and forgotten users don't pile up
+const MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Response cache backed by IndexedDB
+ * Records look like { key, username, year, etag, data, timestamp }.
+ */
+class StoryCache {
+  constructor() {
+    this.dbPromise = null;
+    this.memory = new Map();
+  }
+
+  /**
+   * Open (and upgrade) the database once
+   * @returns {Promise<IDBDatabase|null>} - null when IndexedDB is unavailable
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const store = db.objectStoreNames.contains(STORE_NAME)
+          ? request.transaction.objectStore(STORE_NAME)
+          : db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        if (!store.indexNames.contains('username')) {
+          store.createIndex('username', 'username', { unique: false });
+        }
+        if (!store.indexNames.contains('timestamp')) {
+          store.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+      };
+
+      request.onsuccess = () => {
+        resolve(request.result);
+        this.prune().catch(error => console.warn('Cache prune failed:', error));
+      };
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, caching in memory:', request.error);
+        resolve(null);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single-store transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} action - Receives the object store, returns an IDBRequest
+   * @returns {Promise<any>}
+   */
+  async transaction(mode, action) {
+    const db = await this.open();
+    if (!db) return undefined;
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = action(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Get a cached record
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    try {
+      const db = await this.open();
+      const record = db
+        ? await this.transaction('readonly', store => store.get(key))
+        : this.memory.get(key);
+      return record && !this.isExpired(record) ? record : null;
+    } catch (error) {
+      console.warn('Cache read failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a record
+   * @param {Object} record - Record with a `key` field
+   */
+  async set(record) {
+    const entry = {
+      ...record,
+      username: record.username ? record.username.toLowerCase() : null,
+    };
+
+    try {
+      const db = await this.open();
+      if (!db) {
+        this.memory.set(entry.key, entry);
+        return;
+      }
+      await this.transaction('readwrite', store => store.put(entry));
+    } catch (error) {
+      console.warn('Cache write failed:', error);
+    }
+  }
+
+  /**
+   * Check whether a record is past MAX_AGE
+   * @param {Object} record - Cached record
+   * @returns {boolean}
+   */
+  isExpired(record) {
+    return Date.now() - record.timestamp >= MAX_AGE;
+  }
+
+  /**
+   * Delete every record past MAX_AGE
+   */
+  async prune() {
+    const cutoff = Date.now() - MAX_AGE;
+
+    const db = await this.open();
+    if (!db) {
+      for (const [key, entry] of this.memory) {
+        if (this.isExpired(entry)) this.memory.delete(key);
+      }
+      return;
+    }
+
+    await this.transaction('readwrite', (store) => {
+      const request = store.index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      return request;
+    });
+  }
+
+  /**
+   * Delete every record tagged with a username (any year or scope)
+   * @param {string} username - GitHub username or org
+   */
+  async clearUser(username) {
+    const tag = username.toLowerCase();
+
+    const db = await this.open();
+    if (!db) {
+      for (const [key, entry] of this.memory) {
+        if (entry.username === tag) this.memory.delete(key);
+      }
+      return;
+    }
+
+    await this.transaction('readwrite', (store) => {
+      const request = store.index('username').openCursor(IDBKeyRange.only(tag));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      return request;
+    });
+  }
+
+  /**
+   * Delete everything
+   */
+  async clear() {
+    this.memory.clear();
+    await this.transaction('readwrite', store => store.clear());
+  }
+}
+
+// Export singleton instance
+export const storyCache = new StoryCache();
+export { StoryCache };
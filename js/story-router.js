@@ -0,0 +1,108 @@
+/**
+ * GitStory 2025 - Story Router
+ *
+ * Keeps the story and slide in the URL hash so they can be linked to:
+ *
+ *   #/u/<username>/<year>                 - a story's title card
+ *   #/u/<username>/<year>/slide/<slideId> - a named slide, e.g. heatmap
+ *
+ * Hash routes work on static hosting without server rewrites. Every slide
+ * change is a history entry, so back/forward step between slides.
+ */
+
+const ROUTE_PATTERN = /^#\/u\/([^/]+)\/(\d{4})(?:\/slide\/([a-z0-9-]+))?\/?$/i;
+
+/**
+ * URL hash <-> story route
+ */
+class StoryRouter {
+  constructor() {
+    this.onRoute = null;
+    this.handlePopState = this.handlePopState.bind(this);
+  }
+
+  /**
+   * Listen for back/forward and edited hashes
+   * @param {Function} onRoute - Called with the parsed route, or null
+   */
+  start(onRoute) {
+    this.onRoute = onRoute;
+    window.addEventListener('popstate', this.handlePopState);
+  }
+
+  /**
+   * Handle history navigation
+   */
+  handlePopState() {
+    this.onRoute?.(this.parse());
+  }
+
+  /**
+   * Parse a hash into a route
+   * @param {string} hash - Location hash
+   * @returns {Object|null} - { username, year, slide }, null if not a story link
+   */
+  parse(hash = window.location.hash) {
+    const match = hash.match(ROUTE_PATTERN);
+    if (!match) return null;
+
+    let username;
+    try {
+      username = decodeURIComponent(match[1]).trim();
+    } catch (error) {
+      return null;
+    }
+    if (!username) return null;
+
+    return {
+      username,
+      year: parseInt(match[2], 10),
+      slide: match[3] ? match[3].toLowerCase() : null,
+    };
+  }
+
+  /**
+   * Build the hash for a route
+   * @param {Object} route - { username, year, slide }
+   * @returns {string}
+   */
+  format({ username, year, slide }) {
+    const base = `#/u/${encodeURIComponent(username)}/${year}`;
+    return slide ? `${base}/slide/${slide}` : base;
+  }
+
+  /**
+   * Point the URL at a route
+   * @param {Object|null} route - Route, or null for the bare page
+   * @param {boolean} replace - Replace the current entry instead of adding one
+   */
+  navigate(route, replace = false) {
+    const url = route
+      ? this.format(route)
+      : `${window.location.pathname}${window.location.search}`;
+
+    // Re-entering the current slide shouldn't add a history step
+    const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+    if (url === window.location.hash || url === current) return;
+
+    if (replace) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }
+
+  /**
+   * Check two routes name the same story
+   * @param {Object|null} a - Route
+   * @param {Object|null} b - Route
+   * @returns {boolean}
+   */
+  isSameStory(a, b) {
+    return !!a && !!b
+      && a.username.toLowerCase() === b.username.toLowerCase()
+      && a.year === b.year;
+  }
+}
+
+export { StoryRouter };
@@ -0,0 +1,287 @@
+/**
+ * GitStory 2025 - Story Snapshot
+ *
+ * Packs the page, its styles, its modules and one story's data into a
+ * single HTML file. The snapshot plays the deck from the embedded data,
+ * so it can be hosted anywhere (or opened from disk) with no token and
+ * no API calls. Fonts and animate.css still come from their CDNs. Only the
+ * fields the slides read are embedded, never raw payloads or token details.
+ *
+ * Modules are embedded as source and linked to each other through blob
+ * URLs when the snapshot opens, since a single file can't hold separate
+ * module URLs.
+ */
+
+const SNAPSHOT_VERSION = 1;
+
+// Entry point and where modules live, relative to the page
+const ENTRY_MODULE = 'app.js';
+const MODULE_DIR = 'js/';
+
+// Fields the slides show; everything else stays behind
+const USER_FIELDS = ['login', 'name', 'avatar_url', 'html_url', 'bio', 'location', 'company', 'created_at', 'followers', 'public_repos'];
+const REPO_FIELDS = ['language', 'stargazers_count', 'forks_count'];
+const REPO_CARD_FIELDS = ['name', 'description', 'html_url', 'language', 'stargazers_count', 'forks_count', 'isOwned', 'userActivity', 'members'];
+const PERSONA_FIELDS = ['id', 'name', 'emoji', 'description', 'score', 'reasons'];
+const PULL_REQUEST_FIELDS = ['total', 'merged', 'closed', 'open', 'mergeRate', 'medianHoursToMerge', 'medianHoursToFirstReview', 'mergeTimeDistribution', 'biggest', 'topReviewers', 'hasReviewData'];
+const REVIEW_FIELDS = ['total', 'approved', 'changesRequested', 'commented', 'approvalRatio', 'comments', 'byRepo', 'topAuthors', 'medianHoursToReview', 'detailed'];
+const ISSUE_FIELDS = ['opened', 'closed', 'closedByYou', 'commentedOn', 'closeRate', 'medianHoursToClose', 'labels', 'answers', 'detailed'];
+const MEMBER_FIELDS = ['login', 'name', 'avatar_url', 'totalContributions', 'activeDays', 'longestStreak'];
+
+// Repo cards a slide or the poster shows at most
+const MAX_REPO_CARDS = 5;
+
+// Static, side-effect and dynamic imports of a sibling ./name.js module
+const IMPORT_PATTERN = /(\bfrom\s*|\bimport\s*\(?\s*)(['"])\.\/([\w-]+\.js)\2/g;
+
+// Runs inside the snapshot: turn each embedded module into a blob URL,
+// dependencies first, then start the app
+const BOOTSTRAP = `
+const sources = JSON.parse(document.getElementById('gitstory-modules').textContent);
+const pattern = new RegExp(${JSON.stringify(IMPORT_PATTERN.source)}, 'g');
+const urls = {};
+const link = (name) => {
+  if (!urls[name]) {
+    const code = sources[name].replace(pattern, (match, lead, quote, dep) => lead + JSON.stringify(link(dep)));
+    urls[name] = URL.createObjectURL(new Blob([code], { type: 'text/javascript' }));
+  }
+  return urls[name];
+};
+import(link(${JSON.stringify(ENTRY_MODULE)}));
+`;
+
+/**
+ * Custom error class for snapshots that can't be built or read
+ */
+class StorySnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorySnapshotError';
+  }
+}
+
+/**
+ * Standalone HTML export of a story
+ */
+class StorySnapshot {
+  /**
+   * @param {string} pageUrl - The GitStory page to pack
+   */
+  constructor(pageUrl = window.location.href) {
+    this.pageUrl = pageUrl;
+  }
+
+  /**
+   * Read the story embedded in the current page, if it is a snapshot
+   * @param {Document} doc - Page to look in
+   * @returns {Object|null} - { userData, processedData }
+   */
+  read(doc = document) {
+    const element = doc.getElementById('gitstory-snapshot');
+    if (!element) return null;
+
+    let data;
+    try {
+      data = JSON.parse(element.textContent);
+    } catch (error) {
+      throw new StorySnapshotError('This snapshot is damaged and cannot be played.');
+    }
+
+    if (data?.version !== SNAPSHOT_VERSION || !data.userData?.user || !data.processedData?.stats) {
+      throw new StorySnapshotError('This snapshot was made by a different GitStory version.');
+    }
+    return { userData: data.userData, processedData: data.processedData };
+  }
+
+  /**
+   * Fetch a file next to the page
+   * @param {string} path - Path relative to the page
+   * @returns {Promise<string>}
+   */
+  async fetchText(path) {
+    const url = new URL(path, this.pageUrl);
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new StorySnapshotError('Snapshots need GitStory served over http(s) so its files can be packed.');
+    }
+
+    if (!response.ok) {
+      throw new StorySnapshotError(`Could not read ${url.pathname} (${response.status}).`);
+    }
+    return response.text();
+  }
+
+  /**
+   * Read the entry module and everything it imports
+   * @returns {Promise<Object>} - file name -> source
+   */
+  async collectModules() {
+    const sources = {};
+    const pending = [ENTRY_MODULE];
+
+    while (pending.length) {
+      const name = pending.pop();
+      if (sources[name] !== undefined) continue;
+
+      sources[name] = await this.fetchText(`${MODULE_DIR}${name}`);
+      for (const match of sources[name].matchAll(IMPORT_PATTERN)) {
+        pending.push(match[3]);
+      }
+    }
+
+    return sources;
+  }
+
+  /**
+   * Cut a story down to what the slides read
+   * Raw events keep only their type and commit count, so payloads, commit
+   * messages and author emails aren't shipped; the token's scopes are
+   * always dropped.
+   * @param {Object} userData - Raw story data
+   * @param {Object} processedData - DataProcessor.processAll output
+   * @returns {Object} - { userData, processedData }
+   */
+  pickStory(userData, processedData) {
+    const pick = (source, fields) => source && Object.fromEntries(
+      fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+    );
+    const pickRepos = repos => repos && repos.slice(0, MAX_REPO_CARDS).map(repo => pick(repo, REPO_CARD_FIELDS));
+    const pickPersona = persona => persona && {
+      ...pick(persona, PERSONA_FIELDS),
+      secondary: (persona.secondary || []).map(other => pick(other, PERSONA_FIELDS)),
+    };
+
+    const slimUserData = {
+      year: userData.year,
+      user: pick(userData.user, USER_FIELDS),
+      repos: (userData.repos || []).map(repo => pick(repo, REPO_FIELDS)),
+      events: (userData.events || []).map(event => ({
+        type: event.type,
+        payload: event.type === 'PushEvent' ? { commits: { length: event.payload?.commits?.length || 1 } } : {},
+      })),
+      languages: userData.languages || null,
+    };
+
+    const { collaboration, privacy, comparison, team } = processedData;
+    const slimData = {
+      // Already totals and counts, with no per-record data
+      year: processedData.year,
+      timeZone: processedData.timeZone,
+      stats: processedData.stats,
+      heatmapData: processedData.heatmapData,
+      activityBreakdown: processedData.activityBreakdown,
+      hourlyActivity: processedData.hourlyActivity,
+      languages: processedData.languages,
+
+      pullRequests: pick(processedData.pullRequests, PULL_REQUEST_FIELDS),
+      reviews: pick(processedData.reviews, REVIEW_FIELDS),
+      issues: pick(processedData.issues, ISSUE_FIELDS),
+      collaboration: collaboration && {
+        nodes: collaboration.nodes.map(node => pick(node, ['id', 'avatar_url', 'weight', 'isUser'])),
+        edges: collaboration.edges.map(edge => pick(edge, ['source', 'target', 'weight'])),
+      },
+      scoredRepos: pickRepos(processedData.scoredRepos),
+      topContributedRepos: pickRepos(processedData.topContributedRepos),
+      persona: pickPersona(processedData.persona),
+      privacy: privacy && pick(privacy, ['includesPrivate', 'privateRepos', 'restrictedContributions']),
+    };
+
+    // Last year is only drawn as a heatmap; its totals live in the deltas
+    if (comparison) {
+      slimData.comparison = {
+        ...pick(comparison, ['year', 'previousYear', 'deltas', 'languages', 'highlights']),
+        previous: { year: comparison.previous.year, heatmapData: comparison.previous.heatmapData },
+      };
+    }
+    if (team) {
+      slimData.team = {
+        memberCount: team.memberCount,
+        leaderboard: team.leaderboard.map(member => ({
+          ...pick(member, MEMBER_FIELDS),
+          persona: member.persona && pick(member.persona, ['name', 'emoji']),
+        })),
+        sharedRepos: pickRepos(team.sharedRepos),
+      };
+    }
+
+    return { userData: slimUserData, processedData: slimData };
+  }
+
+  /**
+   * Add a JSON data block to the page
+   * `<` is escaped so the data can't close its own script tag.
+   * @param {Document} doc - Snapshot document
+   * @param {string} id - Element id
+   * @param {*} data - JSON-serializable data
+   */
+  embedJSON(doc, id, data) {
+    const script = doc.createElement('script');
+    script.type = 'application/json';
+    script.id = id;
+    script.textContent = JSON.stringify(data).replace(/</g, '\\u003c');
+    doc.body.appendChild(script);
+  }
+
+  /**
+   * Build the snapshot page
+   * @param {Object} userData - Raw story data
+   * @param {Object} processedData - DataProcessor.processAll output
+   * @returns {Promise<string>} - HTML text
+   */
+  async build(userData, processedData) {
+    const html = await this.fetchText(this.pageUrl);
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    // Inline local stylesheets; CDN ones stay links
+    for (const link of doc.querySelectorAll('link[rel="stylesheet"]')) {
+      const href = link.getAttribute('href');
+      if (/^(https?:)?\/\//.test(href)) continue;
+
+      const style = doc.createElement('style');
+      style.textContent = await this.fetchText(href);
+      link.replaceWith(style);
+    }
+
+    // Personas are already decided in the embedded data
+    doc.querySelector('meta[name="gitstory-personas"]')?.remove();
+
+    // Swap the module script for embedded sources and the story itself
+    doc.querySelectorAll('script[type="module"][src]').forEach(script => script.remove());
+    this.embedJSON(doc, 'gitstory-snapshot', { version: SNAPSHOT_VERSION, ...this.pickStory(userData, processedData) });
+    this.embedJSON(doc, 'gitstory-modules', await this.collectModules());
+
+    const bootstrap = doc.createElement('script');
+    bootstrap.type = 'module';
+    bootstrap.textContent = BOOTSTRAP;
+    doc.body.appendChild(bootstrap);
+
+    const name = userData.user.name || userData.user.login;
+    doc.title = `${name}'s ${userData.year} – GitStory`;
+
+    return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+  }
+
+  /**
+   * Build the snapshot and save it as an HTML file
+   * @param {Object} userData - Raw story data
+   * @param {Object} processedData - DataProcessor.processAll output
+   */
+  async download(userData, processedData) {
+    const html = await this.build(userData, processedData);
+    const blob = new Blob([html], { type: 'text/html' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.download = `gitstory-${userData.user?.login || 'story'}-${userData.year}.html`;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+  }
+}
+
+export { StorySnapshot, StorySnapshotError };
@@ -0,0 +1,323 @@
+/**
+ * GitStory 2025 - Time Zones
+ *
+ * Resolves the developer's time zone and converts timestamps into that
+ * zone's calendar date, weekday and hour, so stats don't depend on the
+ * browser of whoever is watching the story.
+ *
+ * A zone id is either an IANA name ("Europe/Berlin") or a fixed UTC
+ * offset ("+05:30"), which is what commit timestamps can tell us.
+ */
+
+// "+05:30" style fixed-offset zone ids, within the real -14:00..+14:00 range
+const OFFSET_ZONE = /^([+-])(?=(?:0\d|1[0-3]):[0-5]\d$|14:00$)(\d{2}):(\d{2})$/;
+
+// Trailing offset of an ISO timestamp; "Z" means the source normalized to UTC
+const ISO_OFFSET = /([+-]\d{2}:\d{2})$/;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Profile location keyword -> zone. Cities come first so "Toronto, Canada"
+// doesn't fall through to a country; countries spanning several zones
+// (US, Canada, Brazil, Australia, Russia) are only matched by city.
+// Names shared by places in different zones (Washington, Portland, Perth,
+// Santiago) are left out rather than guessed.
+const LOCATION_TIME_ZONES = [
+  ['san francisco', 'America/Los_Angeles'],
+  ['bay area', 'America/Los_Angeles'],
+  ['los angeles', 'America/Los_Angeles'],
+  ['seattle', 'America/Los_Angeles'],
+  ['vancouver', 'America/Vancouver'],
+  ['denver', 'America/Denver'],
+  ['chicago', 'America/Chicago'],
+  ['austin', 'America/Chicago'],
+  ['dallas', 'America/Chicago'],
+  ['new york', 'America/New_York'],
+  ['nyc', 'America/New_York'],
+  ['boston', 'America/New_York'],
+  ['atlanta', 'America/New_York'],
+  ['miami', 'America/New_York'],
+  ['toronto', 'America/Toronto'],
+  ['montreal', 'America/Toronto'],
+  ['mexico city', 'America/Mexico_City'],
+  ['são paulo', 'America/Sao_Paulo'],
+  ['sao paulo', 'America/Sao_Paulo'],
+  ['rio de janeiro', 'America/Sao_Paulo'],
+  ['buenos aires', 'America/Argentina/Buenos_Aires'],
+  ['bogotá', 'America/Bogota'],
+  ['bogota', 'America/Bogota'],
+  ['lima', 'America/Lima'],
+  ['london', 'Europe/London'],
+  ['dublin', 'Europe/Dublin'],
+  ['lisbon', 'Europe/Lisbon'],
+  ['madrid', 'Europe/Madrid'],
+  ['barcelona', 'Europe/Madrid'],
+  ['paris', 'Europe/Paris'],
+  ['amsterdam', 'Europe/Amsterdam'],
+  ['brussels', 'Europe/Brussels'],
+  ['berlin', 'Europe/Berlin'],
+  ['munich', 'Europe/Berlin'],
+  ['hamburg', 'Europe/Berlin'],
+  ['zurich', 'Europe/Zurich'],
+  ['vienna', 'Europe/Vienna'],
+  ['rome', 'Europe/Rome'],
+  ['milan', 'Europe/Rome'],
+  ['copenhagen', 'Europe/Copenhagen'],
+  ['stockholm', 'Europe/Stockholm'],
+  ['oslo', 'Europe/Oslo'],
+  ['helsinki', 'Europe/Helsinki'],
+  ['warsaw', 'Europe/Warsaw'],
+  ['prague', 'Europe/Prague'],
+  ['budapest', 'Europe/Budapest'],
+  ['athens', 'Europe/Athens'],
+  ['istanbul', 'Europe/Istanbul'],
+  ['kyiv', 'Europe/Kyiv'],
+  ['kiev', 'Europe/Kyiv'],
+  ['moscow', 'Europe/Moscow'],
+  ['saint petersburg', 'Europe/Moscow'],
+  ['cairo', 'Africa/Cairo'],
+  ['lagos', 'Africa/Lagos'],
+  ['nairobi', 'Africa/Nairobi'],
+  ['cape town', 'Africa/Johannesburg'],
+  ['johannesburg', 'Africa/Johannesburg'],
+  ['tel aviv', 'Asia/Jerusalem'],
+  ['dubai', 'Asia/Dubai'],
+  ['karachi', 'Asia/Karachi'],
+  ['bangalore', 'Asia/Kolkata'],
+  ['bengaluru', 'Asia/Kolkata'],
+  ['mumbai', 'Asia/Kolkata'],
+  ['delhi', 'Asia/Kolkata'],
+  ['hyderabad', 'Asia/Kolkata'],
+  ['pune', 'Asia/Kolkata'],
+  ['chennai', 'Asia/Kolkata'],
+  ['dhaka', 'Asia/Dhaka'],
+  ['bangkok', 'Asia/Bangkok'],
+  ['ho chi minh', 'Asia/Ho_Chi_Minh'],
+  ['hanoi', 'Asia/Ho_Chi_Minh'],
+  ['jakarta', 'Asia/Jakarta'],
+  ['singapore', 'Asia/Singapore'],
+  ['kuala lumpur', 'Asia/Kuala_Lumpur'],
+  ['manila', 'Asia/Manila'],
+  ['hong kong', 'Asia/Hong_Kong'],
+  ['taipei', 'Asia/Taipei'],
+  ['shanghai', 'Asia/Shanghai'],
+  ['beijing', 'Asia/Shanghai'],
+  ['shenzhen', 'Asia/Shanghai'],
+  ['hangzhou', 'Asia/Shanghai'],
+  ['seoul', 'Asia/Seoul'],
+  ['tokyo', 'Asia/Tokyo'],
+  ['osaka', 'Asia/Tokyo'],
+  ['brisbane', 'Australia/Brisbane'],
+  ['sydney', 'Australia/Sydney'],
+  ['melbourne', 'Australia/Melbourne'],
+  ['auckland', 'Pacific/Auckland'],
+  ['wellington', 'Pacific/Auckland'],
+  ['united kingdom', 'Europe/London'],
+  ['england', 'Europe/London'],
+  ['scotland', 'Europe/London'],
+  ['ireland', 'Europe/Dublin'],
+  ['portugal', 'Europe/Lisbon'],
+  ['spain', 'Europe/Madrid'],
+  ['france', 'Europe/Paris'],
+  ['netherlands', 'Europe/Amsterdam'],
+  ['belgium', 'Europe/Brussels'],
+  ['germany', 'Europe/Berlin'],
+  ['deutschland', 'Europe/Berlin'],
+  ['switzerland', 'Europe/Zurich'],
+  ['austria', 'Europe/Vienna'],
+  ['italy', 'Europe/Rome'],
+  ['denmark', 'Europe/Copenhagen'],
+  ['sweden', 'Europe/Stockholm'],
+  ['norway', 'Europe/Oslo'],
+  ['finland', 'Europe/Helsinki'],
+  ['poland', 'Europe/Warsaw'],
+  ['czech', 'Europe/Prague'],
+  ['hungary', 'Europe/Budapest'],
+  ['greece', 'Europe/Athens'],
+  ['turkey', 'Europe/Istanbul'],
+  ['ukraine', 'Europe/Kyiv'],
+  ['egypt', 'Africa/Cairo'],
+  ['nigeria', 'Africa/Lagos'],
+  ['kenya', 'Africa/Nairobi'],
+  ['south africa', 'Africa/Johannesburg'],
+  ['israel', 'Asia/Jerusalem'],
+  ['pakistan', 'Asia/Karachi'],
+  ['india', 'Asia/Kolkata'],
+  ['bangladesh', 'Asia/Dhaka'],
+  ['thailand', 'Asia/Bangkok'],
+  ['vietnam', 'Asia/Ho_Chi_Minh'],
+  ['philippines', 'Asia/Manila'],
+  ['taiwan', 'Asia/Taipei'],
+  ['china', 'Asia/Shanghai'],
+  ['korea', 'Asia/Seoul'],
+  ['japan', 'Asia/Tokyo'],
+  ['new zealand', 'Pacific/Auckland'],
+];
+
+// Intl formatters are slow to build, so keep one per zone
+const formatters = new Map();
+
+/**
+ * Check a zone id is an IANA name this browser knows, or a UTC offset
+ * @param {string} timeZone - Zone id
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  if (OFFSET_ZONE.test(timeZone)) return true;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The viewer's own zone, used when nothing better is known
+ * @returns {string}
+ */
+function getBrowserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * IANA zones to offer in the timezone picker
+ * @returns {Array<string>}
+ */
+function listTimeZones() {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return [...new Set(LOCATION_TIME_ZONES.map(([, zone]) => zone))].sort();
+}
+
+/**
+ * Most common UTC offset among commit timestamps
+ * Only sources that keep the author's offset (local git logs) have one;
+ * API timestamps are normalized to "Z" and are skipped.
+ * @param {Array} events - GitHub-style events
+ * @returns {string|null} - e.g. "+01:00"
+ */
+function inferTimeZoneFromCommits(events = []) {
+  const counts = {};
+
+  for (const event of events) {
+    if (event.type !== 'PushEvent') continue;
+    const match = String(event.created_at || '').match(ISO_OFFSET);
+    if (match && OFFSET_ZONE.test(match[1])) counts[match[1]] = (counts[match[1]] || 0) + 1;
+  }
+
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : null;
+}
+
+/**
+ * Match a free-text profile location against known places
+ * @param {string} location - e.g. "Berlin, Germany"
+ * @returns {string|null} - IANA zone
+ */
+function inferTimeZoneFromLocation(location) {
+  const text = (location || '').toLowerCase();
+  if (!text) return null;
+
+  for (const [keyword, zone] of LOCATION_TIME_ZONES) {
+    // Whole words only, so "rome" doesn't match "Jerome"
+    const pattern = new RegExp(`(^|[^\\p{L}])${keyword}($|[^\\p{L}])`, 'u');
+    if (pattern.test(text) && isValidTimeZone(zone)) return zone;
+  }
+  return null;
+}
+
+/**
+ * Work out the developer's zone from raw story data
+ * Commit offsets are the most direct evidence, then the profile
+ * location, then the viewer's browser.
+ * @param {Object} rawData - { user, events } from fetchAllData
+ * @returns {Object} - { id, source } where source is 'commits', 'location' or 'browser'
+ */
+function inferTimeZone({ user, events } = {}) {
+  const fromCommits = inferTimeZoneFromCommits(events);
+  if (fromCommits) return { id: fromCommits, source: 'commits' };
+
+  const fromLocation = inferTimeZoneFromLocation(user?.location);
+  if (fromLocation) return { id: fromLocation, source: 'location' };
+
+  return { id: getBrowserTimeZone(), source: 'browser' };
+}
+
+/**
+ * Calendar date, weekday and hour of a moment in a zone
+ * @param {string|number|Date} timestamp - Anything Date accepts
+ * @param {string} timeZone - Zone id; the browser zone when omitted
+ * @returns {Object} - { date: 'YYYY-MM-DD', year, weekday: 0-6 (Sunday first), hour: 0-23 }
+ */
+function getZonedParts(timestamp, timeZone = getBrowserTimeZone()) {
+  const moment = new Date(timestamp);
+  const offset = String(timeZone).match(OFFSET_ZONE);
+
+  if (offset) {
+    const [, sign, hours, minutes] = offset;
+    const shift = (sign === '-' ? -1 : 1) * (parseInt(hours) * 60 + parseInt(minutes));
+    const shifted = new Date(moment.getTime() + shift * 60 * 1000);
+    return {
+      date: shifted.toISOString().slice(0, 10),
+      year: shifted.getUTCFullYear(),
+      weekday: shifted.getUTCDay(),
+      hour: shifted.getUTCHours(),
+    };
+  }
+
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      hourCycle: 'h23',
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(moment)) {
+    parts[type] = value;
+  }
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    year: parseInt(parts.year),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: parseInt(parts.hour) % 24,
+  };
+}
+
+/**
+ * Weekday of a calendar date string, independent of any zone
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} - 0-6, Sunday first
+ */
+function getDateWeekday(date) {
+  return new Date(`${date.slice(0, 10)}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Label a zone for display
+ * @param {string} timeZone - Zone id
+ * @returns {string} - e.g. "Europe/Berlin" or "UTC+05:30"
+ */
+function formatTimeZone(timeZone) {
+  return OFFSET_ZONE.test(timeZone) ? `UTC${timeZone}` : timeZone.replace(/_/g, ' ');
+}
+
+export {
+  isValidTimeZone,
+  getBrowserTimeZone,
+  listTimeZones,
+  inferTimeZone,
+  getZonedParts,
+  getDateWeekday,
+  formatTimeZone,
+};
@@ -0,0 +1,533 @@
+/**
+ * GitStory 2025 - Video Export
+ *
+ * Records the deck as a WebM clip. Each slide is redrawn on a canvas in
+ * the poster's aurora style and plays its entrance in real time: the card
+ * rises in, counters count up, bars and the heatmap fill. The canvas is
+ * captured with captureStream and encoded by MediaRecorder, so a story
+ * takes as long to record as it does to play, and the tab has to stay
+ * visible: recording pauses while it is hidden.
+ *
+ * Formats: 'landscape' (16:9, 1920x1080) and 'portrait' (9:16, 1080x1920)
+ * for stories and reels.
+ */
+
+import { PosterExport } from './poster-export.js';
+
+const VIDEO_FORMATS = {
+  landscape: { width: 1920, height: 1080 },
+  portrait: { width: 1080, height: 1920 },
+};
+
+const FRAME_RATE = 30;
+
+// Entrance timing within each slide, in ms
+const ENTRANCE_DURATION = 900;
+const REVEAL_DELAY = 400;
+const REVEAL_DURATION = 1600;
+const EXIT_DURATION = 400;
+
+// Best first; browsers differ in which WebM codecs they can record
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Heatmap cell colors by contribution level
+const LEVEL_COLORS = ['rgba(255, 255, 255, 0.05)', '#0e4429', '#006d32', '#26a641', '#39d353'];
+
+/**
+ * Custom error class for recordings that can't be made
+ */
+class VideoExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VideoExportError';
+  }
+}
+
+/**
+ * Animated WebM export of the deck
+ */
+class VideoExport extends PosterExport {
+  constructor() {
+    super();
+    this.recording = false;
+  }
+
+  /**
+   * Pick a WebM type this browser can record
+   * @returns {string|null}
+   */
+  getMimeType() {
+    if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+      return null;
+    }
+    return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+  }
+
+  /**
+   * Record the deck
+   * @param {Array<Object>} deck - Slide definitions with their `element`, welcome excluded
+   * @param {Object} userData - Raw story data
+   * @param {Object} processedData - DataProcessor.processAll output
+   * @param {Object} options - { format, slideDuration, onProgress(index, total) }
+   * @returns {Promise<Blob>} - WebM video
+   */
+  async record(deck, userData, processedData, { format = 'landscape', slideDuration = 12000, onProgress = () => {} } = {}) {
+    const mimeType = this.getMimeType();
+    if (!mimeType) {
+      throw new VideoExportError('This browser cannot record video. Try a recent Chrome, Edge or Firefox.');
+    }
+    if (this.recording) {
+      throw new VideoExportError('A video is already being recorded.');
+    }
+
+    const { width, height } = VIDEO_FORMATS[format] || VIDEO_FORMATS.landscape;
+    this.width = width;
+    this.height = height;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    // Load the avatar up front so the title slide doesn't pop in late
+    let avatar = null;
+    try {
+      avatar = await this.loadImage(userData.user.avatar_url);
+    } catch (error) {
+      avatar = null;
+    }
+
+    const scenes = deck.map(slide => this.buildScene(slide, userData, processedData));
+    if (scenes.length === 0) {
+      throw new VideoExportError('There are no slides to record.');
+    }
+    const chunks = [];
+    const recorder = new MediaRecorder(canvas.captureStream(FRAME_RATE), { mimeType });
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    // Hidden tabs throttle timers to about once a second, which would leave
+    // the clip stuttering, so recording pauses until the tab is back
+    let hiddenAt = null;
+    let pausedFor = 0;
+    const onVisibilityChange = () => {
+      if (document.hidden) {
+        hiddenAt = performance.now();
+        if (recorder.state === 'recording') recorder.pause();
+      } else if (hiddenAt !== null) {
+        pausedFor += performance.now() - hiddenAt;
+        hiddenAt = null;
+        if (recorder.state === 'paused') recorder.resume();
+      }
+    };
+
+    this.recording = true;
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    try {
+      // Draw the first frame before recording starts so the clip doesn't open blank
+      this.drawFrame(ctx, scenes[0], 0, slideDuration, { userData, processedData, avatar });
+      recorder.start(1000);
+
+      const start = performance.now();
+      await new Promise((resolve) => {
+        const tick = () => {
+          if (hiddenAt !== null) {
+            setTimeout(tick, 1000 / FRAME_RATE);
+            return;
+          }
+
+          const elapsed = performance.now() - start - pausedFor;
+          const index = Math.floor(elapsed / slideDuration);
+          if (index >= scenes.length) {
+            resolve();
+            return;
+          }
+
+          this.drawFrame(ctx, scenes[index], elapsed - index * slideDuration, slideDuration, { userData, processedData, avatar });
+          onProgress(index, scenes.length);
+          setTimeout(tick, 1000 / FRAME_RATE);
+        };
+        tick();
+      });
+
+      recorder.stop();
+      await stopped;
+    } finally {
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      this.recording = false;
+    }
+
+    return new Blob(chunks, { type: 'video/webm' });
+  }
+
+  /**
+   * Record the deck and save it as a WebM file
+   * @param {Array<Object>} deck - Slide definitions, welcome excluded
+   * @param {Object} userData - Raw story data
+   * @param {Object} processedData - DataProcessor.processAll output
+   * @param {Object} options - See record()
+   */
+  async download(deck, userData, processedData, options = {}) {
+    const blob = await this.record(deck, userData, processedData, options);
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.download = `gitstory-${userData.user?.login || 'story'}-${processedData.year}-${options.format || 'landscape'}.webm`;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Describe what a slide shows, from its registry `videoScene` hook
+   * Scenes hold plain data: stats count up, bars/columns grow, the rest
+   * fades in. Bar colors may name a poster color, e.g. 'aurora1'.
+   * @param {Object} slide - Slide definition with its `element`
+   * @param {Object} userData - Raw story data
+   * @param {Object} data - DataProcessor.processAll output
+   * @returns {Object} - { id, title, stats, bars, columns, heatmap, lines }
+   */
+  buildScene(slide, userData, data) {
+    return {
+      id: slide.id,
+      title: slide.element?.getAttribute('aria-label') || slide.id,
+      stats: [],
+      bars: null,
+      columns: null,
+      heatmap: null,
+      lines: [],
+      ...slide.videoScene?.(data, userData),
+    };
+  }
+
+  /**
+   * Draw one frame of a slide
+   * @param {CanvasRenderingContext2D} ctx - Video canvas
+   * @param {Object} scene - From buildScene
+   * @param {number} time - ms since the slide started
+   * @param {number} duration - ms the slide is on screen
+   * @param {Object} context - { userData, processedData, avatar }
+   */
+  drawFrame(ctx, scene, time, duration, context) {
+    const enter = this.ease(time / ENTRANCE_DURATION);
+    const reveal = this.ease((time - REVEAL_DELAY) / REVEAL_DURATION);
+    const exit = Math.min(1, Math.max(0, (duration - time) / EXIT_DURATION));
+
+    // Background stays put; only the card moves
+    this.drawBackground(ctx);
+    this.drawAuroraGlow(ctx);
+    this.drawVideoFooter(ctx, context.userData.user, context.processedData.year);
+
+    const portrait = this.height > this.width;
+    const margin = portrait ? 60 : 120;
+    const card = {
+      x: margin,
+      y: portrait ? 200 : 90,
+      width: this.width - margin * 2,
+      height: this.height - (portrait ? 400 : 220),
+    };
+
+    ctx.save();
+    ctx.globalAlpha = enter * exit;
+    ctx.translate(0, (1 - enter) * 60);
+
+    // Glass card
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
+    this.roundRect(ctx, card.x, card.y, card.width, card.height, 28);
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    const padding = portrait ? 60 : 80;
+    const inner = {
+      x: card.x + padding,
+      y: card.y + padding,
+      width: card.width - padding * 2,
+      height: card.height - padding * 2,
+    };
+
+    if (scene.id === 'title') {
+      this.drawTitleScene(ctx, inner, context);
+    } else if (scene.id === 'finale') {
+      this.drawFinaleScene(ctx, inner, scene, reveal, context.processedData.persona);
+    } else {
+      this.drawSceneBody(ctx, inner, scene, reveal, portrait);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw a slide's title, stats and visual
+   */
+  drawSceneBody(ctx, box, scene, reveal, portrait) {
+    let y = box.y;
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.font = `bold ${portrait ? 64 : 56}px "Space Grotesk", sans-serif`;
+    ctx.fillStyle = this.colors.textPrimary;
+    ctx.fillText(scene.title, box.x, y);
+    y += portrait ? 110 : 90;
+
+    // Stats, two per row in portrait
+    if (scene.stats.length) {
+      const perRow = portrait ? 2 : Math.min(4, scene.stats.length);
+      const cellWidth = box.width / perRow;
+      const rowHeight = portrait ? 170 : 140;
+      const accents = [this.colors.aurora1, this.colors.aurora3, this.colors.accent1, this.colors.accent2];
+
+      scene.stats.forEach((stat, index) => {
+        const x = box.x + (index % perRow) * cellWidth;
+        const rowY = y + Math.floor(index / perRow) * rowHeight;
+
+        ctx.font = `bold ${portrait ? 76 : 68}px "Space Grotesk", sans-serif`;
+        ctx.fillStyle = accents[index % accents.length];
+        ctx.fillText(this.formatStat(stat, reveal), x, rowY);
+
+        ctx.font = '22px "Fira Code", monospace';
+        ctx.fillStyle = this.colors.textMuted;
+        ctx.fillText(stat.label.toUpperCase(), x, rowY + (portrait ? 92 : 82));
+      });
+      y += Math.ceil(scene.stats.length / perRow) * rowHeight + 20;
+    }
+
+    const area = { x: box.x, y, width: box.width, height: box.y + box.height - y };
+    if (area.height <= 40) return;
+
+    if (scene.heatmap) {
+      this.drawHeatmap(ctx, area, scene.heatmap, reveal);
+    } else if (scene.columns) {
+      this.drawColumns(ctx, area, scene.columns, reveal);
+    } else if (scene.bars?.length) {
+      this.drawBars(ctx, area, scene.bars, reveal);
+    } else if (scene.lines.length) {
+      this.drawLines(ctx, area, scene.lines, reveal);
+    }
+  }
+
+  /**
+   * Draw the title card: avatar, name and handle
+   */
+  drawTitleScene(ctx, box, { userData, processedData, avatar }) {
+    const { user } = userData;
+    const size = Math.min(box.width, box.height) * 0.4;
+    const cx = box.x + box.width / 2;
+    const cy = box.y + box.height * 0.35;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(cx, cy, size / 2, 0, Math.PI * 2);
+    ctx.clip();
+    if (avatar) {
+      ctx.drawImage(avatar, cx - size / 2, cy - size / 2, size, size);
+    } else {
+      ctx.fillStyle = this.colors.surface;
+      ctx.fillRect(cx - size / 2, cy - size / 2, size, size);
+      ctx.font = `bold ${Math.round(size / 2)}px "Space Grotesk", sans-serif`;
+      ctx.fillStyle = this.colors.aurora3;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(user.login.charAt(0).toUpperCase(), cx, cy);
+    }
+    ctx.restore();
+
+    ctx.strokeStyle = this.colors.aurora3;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.arc(cx, cy, size / 2 + 8, 0, Math.PI * 2);
+    ctx.stroke();
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.font = 'bold 72px "Space Grotesk", sans-serif';
+    ctx.fillStyle = this.colors.textPrimary;
+    ctx.fillText(user.name || user.login, cx, cy + size / 2 + 50);
+
+    ctx.font = '30px "Fira Code", monospace';
+    ctx.fillStyle = this.colors.aurora3;
+    ctx.fillText(`@${user.login} · ${processedData.year}`, cx, cy + size / 2 + 140);
+  }
+
+  /**
+   * Draw the finale: persona and year totals
+   */
+  drawFinaleScene(ctx, box, scene, reveal, persona) {
+    const cx = box.x + box.width / 2;
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.font = '140px serif';
+    ctx.fillText(persona.emoji || '🔧', cx, box.y + 20);
+
+    ctx.font = 'bold 72px "Space Grotesk", sans-serif';
+    ctx.fillStyle = this.colors.textPrimary;
+    ctx.fillText(persona.name || 'The Developer', cx, box.y + 200);
+
+    ctx.globalAlpha *= reveal;
+    ctx.font = '26px "Fira Code", monospace';
+    ctx.fillStyle = this.colors.textSecondary;
+    ctx.fillText((persona.reasons || []).slice(0, 2).join(' · '), cx, box.y + 300, box.width);
+
+    const cellWidth = box.width / scene.stats.length;
+    scene.stats.forEach((stat, index) => {
+      const x = box.x + cellWidth * (index + 0.5);
+      ctx.font = 'bold 64px "Space Grotesk", sans-serif';
+      ctx.fillStyle = this.colors.aurora1;
+      ctx.fillText(this.formatStat(stat, reveal), x, box.y + box.height - 150);
+      ctx.font = '22px "Fira Code", monospace';
+      ctx.fillStyle = this.colors.textMuted;
+      ctx.fillText(stat.label.toUpperCase(), x, box.y + box.height - 70);
+    });
+  }
+
+  /**
+   * Draw the contribution calendar, filling in week by week
+   */
+  drawHeatmap(ctx, area, weeks, reveal) {
+    const portrait = this.height > this.width;
+
+    // Portrait stacks the year as two half-year grids
+    const rows = portrait ? 2 : 1;
+    const perRow = Math.ceil(weeks.length / rows);
+    const cell = Math.min(area.width / perRow, (area.height / rows) / 8);
+    const gap = cell * 0.18;
+    const shown = Math.round(weeks.length * reveal);
+
+    weeks.slice(0, shown).forEach((week, weekIndex) => {
+      const row = Math.floor(weekIndex / perRow);
+      const x = area.x + (weekIndex % perRow) * cell;
+      const top = area.y + row * cell * 8;
+
+      for (const day of week) {
+        if (!day.isCurrentYear) continue;
+        ctx.fillStyle = LEVEL_COLORS[day.level] || LEVEL_COLORS[0];
+        this.roundRect(ctx, x, top + day.dayOfWeek * cell, cell - gap, cell - gap, cell * 0.2);
+        ctx.fill();
+      }
+    });
+  }
+
+  /**
+   * Draw vertical columns (hours, weeks) growing from the baseline
+   */
+  drawColumns(ctx, area, columns, reveal) {
+    const labelSpace = columns.some(column => column.label) ? 40 : 0;
+    const chartHeight = area.height - labelSpace;
+    const max = Math.max(...columns.map(column => column.value), 1);
+    const slot = area.width / columns.length;
+    const gradient = ctx.createLinearGradient(0, area.y + chartHeight, 0, area.y);
+    gradient.addColorStop(0, this.colors.aurora1);
+    gradient.addColorStop(0.5, this.colors.aurora2);
+    gradient.addColorStop(1, this.colors.aurora3);
+
+    columns.forEach((column, index) => {
+      const height = Math.max(2, (column.value / max) * chartHeight * reveal);
+      const x = area.x + index * slot;
+      ctx.fillStyle = gradient;
+      this.roundRect(ctx, x + slot * 0.15, area.y + chartHeight - height, slot * 0.7, height, Math.min(6, slot * 0.3));
+      ctx.fill();
+
+      if (column.label) {
+        ctx.font = '20px "Fira Code", monospace';
+        ctx.fillStyle = this.colors.textMuted;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(column.label, x, area.y + chartHeight + 12);
+      }
+    });
+  }
+
+  /**
+   * Draw labelled horizontal bars growing from the left
+   */
+  drawBars(ctx, area, bars, reveal) {
+    const rowHeight = Math.min(90, area.height / bars.length);
+    const labelWidth = area.width * 0.3;
+    const max = Math.max(...bars.map(bar => bar.value), 1);
+
+    bars.forEach((bar, index) => {
+      const y = area.y + index * rowHeight;
+      const barWidth = Math.max(4, ((area.width - labelWidth - 140) * bar.value / max) * reveal);
+
+      ctx.textBaseline = 'middle';
+      ctx.textAlign = 'left';
+      ctx.font = '26px "DM Sans", sans-serif';
+      ctx.fillStyle = this.colors.textSecondary;
+      ctx.fillText(bar.label, area.x, y + rowHeight / 2, labelWidth - 20);
+
+      ctx.fillStyle = this.colors[bar.color] || bar.color || this.colors.aurora1;
+      this.roundRect(ctx, area.x + labelWidth, y + rowHeight * 0.25, barWidth, rowHeight * 0.5, rowHeight * 0.15);
+      ctx.fill();
+
+      ctx.font = '24px "Fira Code", monospace';
+      ctx.fillStyle = this.colors.textPrimary;
+      ctx.fillText(this.formatStat({ value: bar.value, suffix: bar.suffix, decimals: bar.suffix ? 1 : 0 }, reveal),
+        area.x + labelWidth + barWidth + 16, y + rowHeight / 2);
+    });
+  }
+
+  /**
+   * Draw text lines, fading in one after another
+   */
+  drawLines(ctx, area, lines, reveal) {
+    const lineHeight = Math.min(80, area.height / lines.length);
+    const alpha = ctx.globalAlpha;
+
+    ctx.save();
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    lines.forEach((line, index) => {
+      ctx.globalAlpha = alpha * Math.min(1, Math.max(0, reveal * lines.length - index));
+      ctx.font = index === 0 ? 'bold 38px "Space Grotesk", sans-serif' : '30px "DM Sans", sans-serif';
+      ctx.fillStyle = index === 0 ? this.colors.textPrimary : this.colors.textSecondary;
+      ctx.fillText(line, area.x, area.y + index * lineHeight, area.width);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Draw the handle and year under the card
+   */
+  drawVideoFooter(ctx, user, year) {
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = '24px "Fira Code", monospace';
+    ctx.fillStyle = this.colors.textMuted;
+    ctx.fillText(`GitStory ${year} · @${user.login}`, this.width / 2, this.height - (this.height > this.width ? 120 : 50));
+  }
+
+  /**
+   * Format a stat part-way through its count-up
+   * @param {Object} stat - { value, prefix, suffix, decimals }
+   * @param {number} progress - 0..1
+   * @returns {string}
+   */
+  formatStat(stat, progress) {
+    if (typeof stat.value !== 'number') return String(stat.value);
+
+    const value = stat.value * Math.min(1, Math.max(0, progress));
+    const text = stat.decimals
+      ? value.toFixed(stat.decimals)
+      : Math.round(value).toLocaleString();
+    return `${stat.prefix || ''}${text}${stat.suffix || ''}`;
+  }
+
+  /**
+   * Ease-out cubic, clamped to 0..1
+   * @param {number} t - Progress
+   * @returns {number}
+   */
+  ease(t) {
+    const clamped = Math.min(1, Math.max(0, t));
+    return 1 - Math.pow(1 - clamped, 3);
+  }
+}
+
+export { VideoExport, VideoExportError, VIDEO_FORMATS };